@@ -3,6 +3,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
 // Import Swagger
@@ -11,26 +12,35 @@ const { specs, swaggerUi } = require('./config/swagger');
 // Import routes
 const authRoutes = require('./routes/auth');
 const movieRoutes = require('./routes/movies');
+const listRoutes = require('./routes/lists');
+const diaryRoutes = require('./routes/diary');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { getLocalRoot } = require('./utils/storage');
 
 const app = express();
 
 // Security middleware
 app.use(helmet());
 
-// CORS - Allow all origins for development/testing
+// CORS - only origins in CORS_ORIGINS (comma separated) may make
+// credentialed browser requests
+const allowedOrigins = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 app.use(cors({
   origin: function (origin, callback) {
     // Allow requests with no origin (like mobile apps or curl requests)
     if (!origin) return callback(null, true);
-    // Allow all origins for now
-    return callback(null, true);
+    // Other origins get no CORS headers, so browsers block the response
+    return callback(null, allowedOrigins.includes(origin));
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-CSRF-Token', 'X-Requested-With', 'Accept', 'Origin'],
   exposedHeaders: ['X-Total-Count'],
   optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
 }));
@@ -50,12 +60,23 @@ app.use('/api/', limiter);
 // Body parser middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
+// Uploaded files stored by the local storage driver
+app.use('/uploads', express.static(getLocalRoot(), {
+  maxAge: '30d',
+  immutable: true,
+  setHeaders: (res) => {
+    // Allow images to be embedded by front-ends on other origins
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  }
+}));
+
 // Swagger UI
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
   explorer: true,
@@ -84,6 +105,8 @@ app.get('/api/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/movies', movieRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/diary', diaryRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -100,6 +123,8 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       movies: '/api/movies',
+      lists: '/api/lists',
+      diary: '/api/diary',
       health: '/api/health'
     },
     features: [
@@ -0,0 +1,75 @@
+// Role based access control.
+// Permissions are named <resource>:<action>[:own|:any]. A ":own" permission
+// only applies to documents the user created; ":any" applies to all of them.
+
+const PERMISSIONS = [
+  'movie:create',
+  'movie:update:own',
+  'movie:update:any',
+  'movie:delete:own',
+  'movie:delete:any',
+  'review:create',
+  'review:update:own',
+  'review:delete:own',
+  'review:delete:any',
+  'list:create',
+  'list:update:own',
+  'list:delete:own',
+  'list:delete:any',
+  'stats:read',
+  'user:read',
+  'user:manage',
+  'user:invite',
+  'user:impersonate',
+  'role:assign',
+  'apikey:manage'
+];
+
+const userPermissions = [
+  'movie:create',
+  'movie:update:own',
+  'movie:delete:own',
+  'review:create',
+  'review:update:own',
+  'review:delete:own',
+  'list:create',
+  'list:update:own',
+  'list:delete:own'
+];
+
+const ROLES = {
+  // Regular members manage the movies they added
+  user: userPermissions,
+
+  // Editors curate the whole catalog
+  editor: [
+    ...userPermissions,
+    'movie:update:any'
+  ],
+
+  // Moderators remove content and can look up the users behind it
+  moderator: [
+    ...userPermissions,
+    'movie:delete:any',
+    'review:delete:any',
+    'list:delete:any',
+    'user:read'
+  ],
+
+  admin: PERMISSIONS
+};
+
+// Role given to self-registered accounts
+const DEFAULT_ROLE = 'user';
+
+const getPermissions = (role) => ROLES[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  getPermissions,
+  hasPermission
+};
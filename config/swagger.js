@@ -34,6 +34,18 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter JWT token in the format: Bearer <token>'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Scoped API key for service-to-service access (movies:read, movies:write, stats:read)'
+        },
+        cookieAuth: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'token',
+          description: 'httpOnly access token cookie set by login/register. State-changing requests must send the csrfToken cookie value in the X-CSRF-Token header'
         }
       },
       schemas: {
@@ -61,7 +73,7 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'admin'],
+              enum: ['user', 'editor', 'moderator', 'admin'],
               description: 'User role',
               example: 'user'
             },
@@ -71,6 +83,15 @@ const options = {
               description: 'Profile picture URL',
               example: 'https://via.placeholder.com/150x150.png?text=User'
             },
+            avatarVariants: {
+              type: 'object',
+              description: 'Square variants of an uploaded avatar',
+              properties: {
+                small: { type: 'string', example: '/uploads/avatars/60d5ecb74b24a1234567890a/3f9a1c2b7d4e-small.webp' },
+                medium: { type: 'string', example: '/uploads/avatars/60d5ecb74b24a1234567890a/3f9a1c2b7d4e-medium.webp' },
+                large: { type: 'string', example: '/uploads/avatars/60d5ecb74b24a1234567890a/3f9a1c2b7d4e-large.webp' }
+              }
+            },
             phone: {
               type: 'string',
               description: 'Phone number',
@@ -88,16 +109,59 @@ const options = {
               description: 'User biography',
               example: 'Movie enthusiast and critic'
             },
+            favoriteGenres: {
+              type: 'array',
+              description: 'Declared favorite genres, used for recommendations of new users',
+              items: {
+                type: 'string'
+              },
+              example: ['Sci-Fi', 'Thriller']
+            },
             isActive: {
               type: 'boolean',
               description: 'Account status',
               example: true
             },
+            isSystem: {
+              type: 'boolean',
+              description: 'Account managed by the API itself, such as the deleted user placeholder',
+              example: false
+            },
+            twoFactorEnabled: {
+              type: 'boolean',
+              description: 'Whether two-factor authentication is enabled',
+              example: false
+            },
+            deletionScheduledFor: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When a self-requested account deletion will be carried out'
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Soft-deletion timestamp'
+            },
+            emailVerified: {
+              type: 'boolean',
+              description: 'Whether the email address has been verified',
+              example: true
+            },
             lastLogin: {
               type: 'string',
               format: 'date-time',
               description: 'Last login timestamp'
             },
+            lockUntil: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Account is locked until this time after too many failed logins'
+            },
+            passwordChangedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last password change timestamp'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -172,6 +236,28 @@ const options = {
               description: 'Movie rating (0-10)',
               example: 9.3
             },
+            communityScore: {
+              type: 'number',
+              minimum: 0,
+              maximum: 10,
+              description: 'Average rating from user reviews (read-only)',
+              example: 8.4
+            },
+            communityVotes: {
+              type: 'integer',
+              description: 'Number of user reviews (read-only)',
+              example: 27
+            },
+            inWatchlist: {
+              type: 'boolean',
+              description: 'Whether the movie is on the caller\'s watchlist (only for authenticated requests)',
+              example: false
+            },
+            isFavorite: {
+              type: 'boolean',
+              description: 'Whether the movie is in the caller\'s favorites (only for authenticated requests)',
+              example: true
+            },
             duration: {
               type: 'integer',
               minimum: 1,
@@ -197,7 +283,7 @@ const options = {
             posterUrl: {
               type: 'string',
               format: 'url',
-              description: 'Poster image URL',
+              description: 'Poster image URL. Set automatically to the primary uploaded poster',
               example: 'https://via.placeholder.com/300x450.png?text=Movie+Poster'
             },
             trailerUrl: {
@@ -249,10 +335,17 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['active', 'inactive', 'coming-soon'],
+              enum: ['active', 'inactive', 'coming-soon', 'archived'],
               description: 'Movie status',
               example: 'active'
             },
+            media: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/MovieMedia'
+              },
+              description: 'Uploaded posters, backdrops and stills'
+            },
             createdBy: {
               type: 'string',
               description: 'Creator user ID',
@@ -275,6 +368,326 @@ const options = {
             }
           }
         },
+        Review: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              example: '65f1c2a7e4b0a1234567890f'
+            },
+            movie: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            user: {
+              type: 'object',
+              properties: {
+                _id: {
+                  type: 'string',
+                  example: '507f1f77bcf86cd799439012'
+                },
+                name: {
+                  type: 'string',
+                  example: 'John Doe'
+                },
+                avatar: {
+                  type: 'string'
+                }
+              }
+            },
+            rating: {
+              type: 'number',
+              minimum: 0,
+              maximum: 10,
+              example: 9
+            },
+            title: {
+              type: 'string',
+              example: 'A timeless classic'
+            },
+            text: {
+              type: 'string',
+              example: 'Great performances and a story that still holds up.'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ReviewInput: {
+          type: 'object',
+          required: ['rating'],
+          properties: {
+            rating: {
+              type: 'number',
+              minimum: 0,
+              maximum: 10,
+              example: 9
+            },
+            title: {
+              type: 'string',
+              maxLength: 100,
+              example: 'A timeless classic'
+            },
+            text: {
+              type: 'string',
+              maxLength: 5000,
+              example: 'Great performances and a story that still holds up.'
+            }
+          }
+        },
+        List: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              example: '65f1c2a7e4b0a12345678a01'
+            },
+            owner: {
+              type: 'object',
+              properties: {
+                _id: {
+                  type: 'string',
+                  example: '507f1f77bcf86cd799439012'
+                },
+                name: {
+                  type: 'string',
+                  example: 'John Doe'
+                },
+                avatar: {
+                  type: 'string'
+                }
+              }
+            },
+            title: {
+              type: 'string',
+              example: 'Best heists'
+            },
+            description: {
+              type: 'string',
+              example: 'Crews, vaults and one last job.'
+            },
+            visibility: {
+              type: 'string',
+              enum: ['public', 'unlisted', 'private'],
+              example: 'public'
+            },
+            entries: {
+              type: 'array',
+              description: 'Movies in list order',
+              items: {
+                $ref: '#/components/schemas/ListEntry'
+              }
+            },
+            movieCount: {
+              type: 'integer',
+              example: 12
+            },
+            likeCount: {
+              type: 'integer',
+              example: 42
+            },
+            shareUrl: {
+              type: 'string',
+              nullable: true,
+              description: 'Share link (only shown to the owner)',
+              example: 'http://localhost:5000/api/lists/shared/3f2a9c1b7d5e4f60a1b2c3d4e5f60718'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ListEntry: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              example: '65f1c2a7e4b0a12345678a02'
+            },
+            movie: {
+              $ref: '#/components/schemas/Movie'
+            },
+            note: {
+              type: 'string',
+              example: 'Watch this one first'
+            },
+            addedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        ListInput: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            title: {
+              type: 'string',
+              maxLength: 100,
+              example: 'Best heists'
+            },
+            description: {
+              type: 'string',
+              maxLength: 1000,
+              example: 'Crews, vaults and one last job.'
+            },
+            visibility: {
+              type: 'string',
+              enum: ['public', 'unlisted', 'private'],
+              default: 'private'
+            }
+          }
+        },
+        DiaryEntry: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              example: '65f1c2a7e4b0a12345678b01'
+            },
+            movie: {
+              description: 'The movie, or { title, removed: true } when it was deleted from the catalog',
+              allOf: [{ $ref: '#/components/schemas/Movie' }]
+            },
+            watchedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-03-02T20:30:00.000Z'
+            },
+            rewatch: {
+              type: 'boolean',
+              example: false
+            },
+            rating: {
+              type: 'number',
+              minimum: 0,
+              maximum: 10,
+              example: 8
+            },
+            note: {
+              type: 'string',
+              example: 'Watched with friends, still holds up.'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        DiaryEntryInput: {
+          type: 'object',
+          required: ['movie'],
+          properties: {
+            movie: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            watchedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the movie was watched (defaults to now, cannot be in the future)',
+              example: '2024-03-02T20:30:00.000Z'
+            },
+            rewatch: {
+              type: 'boolean',
+              description: 'Defaults to true when the movie was logged before'
+            },
+            rating: {
+              type: 'number',
+              minimum: 0,
+              maximum: 10,
+              example: 8
+            },
+            note: {
+              type: 'string',
+              maxLength: 1000,
+              example: 'Watched with friends, still holds up.'
+            }
+          }
+        },
+        MovieMedia: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Media ID',
+              example: '65f1c2a7e4b0a1234567890c'
+            },
+            type: {
+              type: 'string',
+              enum: ['poster', 'backdrop', 'still'],
+              example: 'poster'
+            },
+            url: {
+              type: 'string',
+              description: 'URL of the large variant',
+              example: '/uploads/movies/507f1f77bcf86cd799439011/poster-3f9a1c2b7d4e-large.webp'
+            },
+            variants: {
+              type: 'object',
+              description: 'Resized copies (200, 600 and 1280 pixels wide)',
+              properties: {
+                thumbnail: {
+                  type: 'string',
+                  example: '/uploads/movies/507f1f77bcf86cd799439011/poster-3f9a1c2b7d4e-thumbnail.webp'
+                },
+                medium: {
+                  type: 'string',
+                  example: '/uploads/movies/507f1f77bcf86cd799439011/poster-3f9a1c2b7d4e-medium.webp'
+                },
+                large: {
+                  type: 'string',
+                  example: '/uploads/movies/507f1f77bcf86cd799439011/poster-3f9a1c2b7d4e-large.webp'
+                }
+              }
+            },
+            placeholder: {
+              type: 'string',
+              description: 'Tiny blurred preview as a data URI',
+              example: 'data:image/webp;base64,UklGRkAAAABXRUJQVlA4IDQAAAD...'
+            },
+            width: {
+              type: 'integer',
+              example: 1280
+            },
+            height: {
+              type: 'integer',
+              example: 1896
+            },
+            caption: {
+              type: 'string',
+              example: 'Theatrical poster'
+            },
+            isPrimary: {
+              type: 'boolean',
+              description: 'Primary image of its type. The primary poster is the movie posterUrl',
+              example: true
+            },
+            uploadedBy: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
         AuthResponse: {
           type: 'object',
           properties: {
@@ -284,14 +697,273 @@ const options = {
             },
             token: {
               type: 'string',
-              description: 'JWT token',
+              description: 'Short-lived JWT access token',
               example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
             },
+            refreshToken: {
+              type: 'string',
+              description: 'Single-use refresh token for POST /auth/refresh',
+              example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+            },
+            csrfToken: {
+              type: 'string',
+              description: 'Send in the X-CSRF-Token header on state-changing requests authenticated by cookie',
+              example: '2c26b46b68ffc68ff99b453c1d30413413422d706483bfa0f98a5e886266e7ae'
+            },
             data: {
               $ref: '#/components/schemas/User'
             }
           }
         },
+        Session: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Session ID',
+              example: '507f1f77bcf86cd799439011'
+            },
+            device: {
+              type: 'string',
+              description: 'Device description derived from the user agent',
+              example: 'Chrome on Windows'
+            },
+            userAgent: {
+              type: 'string',
+              description: 'Raw User-Agent header'
+            },
+            ip: {
+              type: 'string',
+              description: 'Last seen IP address',
+              example: '203.0.113.7'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Login timestamp'
+            },
+            lastSeenAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last activity timestamp'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Refresh token expiry'
+            },
+            current: {
+              type: 'boolean',
+              description: 'Whether this is the session making the request',
+              example: true
+            }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'API key ID',
+              example: '507f1f77bcf86cd799439011'
+            },
+            name: {
+              type: 'string',
+              description: 'Name describing what the key is used for',
+              example: 'Nightly ingestion job'
+            },
+            prefix: {
+              type: 'string',
+              description: 'First characters of the key',
+              example: 'mk_3f9a1c2b'
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['movies:read', 'movies:write', 'stats:read']
+              },
+              example: ['movies:read', 'movies:write']
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Expiry timestamp'
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last time the key was used'
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Revocation timestamp'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Creation timestamp'
+            }
+          }
+        },
+        Invitation: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              example: '65f1c2a7e4b0a1234567890d'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'jane@example.com'
+            },
+            role: {
+              type: 'string',
+              enum: ['user', 'editor', 'moderator', 'admin'],
+              example: 'editor'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'expired', 'revoked'],
+              example: 'pending'
+            },
+            invitedBy: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439011'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            acceptedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            acceptedBy: {
+              type: 'string',
+              example: '507f1f77bcf86cd799439012'
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Impersonation: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              example: '65f1c2a7e4b0a1234567890e'
+            },
+            admin: {
+              type: 'string',
+              description: 'Admin who impersonated the user',
+              example: '507f1f77bcf86cd799439011'
+            },
+            user: {
+              type: 'string',
+              description: 'Impersonated user',
+              example: '507f1f77bcf86cd799439012'
+            },
+            reason: {
+              type: 'string',
+              example: 'Reproducing support ticket 1234'
+            },
+            ip: {
+              type: 'string',
+              example: '203.0.113.7'
+            },
+            userAgent: {
+              type: 'string'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            endedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            actions: {
+              type: 'array',
+              description: 'Requests made with the impersonation token, oldest first (only returned for a single record, paginated)',
+              items: {
+                type: 'object',
+                properties: {
+                  method: {
+                    type: 'string',
+                    example: 'GET'
+                  },
+                  path: {
+                    type: 'string',
+                    example: '/api/auth/me'
+                  },
+                  statusCode: {
+                    type: 'integer',
+                    example: 200
+                  },
+                  ip: {
+                    type: 'string'
+                  },
+                  at: {
+                    type: 'string',
+                    format: 'date-time'
+                  }
+                }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        TwoFactorChallenge: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            twoFactorRequired: {
+              type: 'boolean',
+              example: true
+            },
+            challengeToken: {
+              type: 'string',
+              description: 'Short-lived token for POST /auth/login/2fa',
+              example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
+            }
+          }
+        },
+        RecoveryCodesResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            data: {
+              type: 'object',
+              properties: {
+                recoveryCodes: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  },
+                  example: ['a1b2c-3d4e5', 'f6a7b-8c9d0']
+                }
+              }
+            }
+          }
+        },
         ErrorResponse: {
           type: 'object',
           properties: {
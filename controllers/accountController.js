@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const Movie = require('../models/Movie');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Review = require('../models/Review');
+const SavedMovie = require('../models/SavedMovie');
+const List = require('../models/List');
+const DiaryEntry = require('../models/DiaryEntry');
+const sendEmail = require('../utils/sendEmail');
+const { clearAuthCookies } = require('../utils/authCookies');
+
+// @desc    Export all personal data of the current user
+// @route   GET /api/auth/me/export
+// @access  Private
+const exportMyData = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    const [movies, reviews, savedMovies, lists, diary, sessions, apiKeys] = await Promise.all([
+      Movie.find({ createdBy: user._id }).sort('createdAt').lean(),
+      Review.find({ user: user._id }).populate('movie', 'title').sort('createdAt').lean(),
+      SavedMovie.find({ user: user._id }).populate('movie', 'title').sort('addedAt').lean(),
+      List.find({ owner: user._id }).populate('entries.movie', 'title').sort('createdAt').lean(),
+      DiaryEntry.find({ user: user._id }).populate('movie', 'title').sort('watchedAt').lean(),
+      Session.find({ user: user._id }).sort('createdAt').lean(),
+      ApiKey.find({ user: user._id }).sort('createdAt').lean()
+    ]);
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile: user.toObject(),
+      movies,
+      reviews,
+      watchlist: savedMovies.filter(entry => entry.list === 'watchlist'),
+      favorites: savedMovies.filter(entry => entry.list === 'favorites'),
+      lists,
+      diary,
+      sessions,
+      apiKeys
+    };
+
+    const fileName = `movies-api-export-${user._id}-${Date.now()}.json`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    res.status(200).json(archive);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request deletion of the current user's account
+// @route   DELETE /api/auth/me
+// @access  Private
+const deleteMyAccount = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: `Account deletion is already scheduled for ${user.deletionScheduledFor.toISOString()}`
+      });
+    }
+
+    const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    // Log out everywhere; logging in again is still possible to cancel
+    await Session.revokeAllForUser(user._id, 'logout-all');
+    clearAuthCookies(res);
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Your account is scheduled for deletion',
+        text: `We received a request to delete your Movies API account.\n\n` +
+          `Your account and personal data will be deleted on ${user.deletionScheduledFor.toISOString()}. ` +
+          'Movies you added will stay in the catalog without your name.\n\n' +
+          'Changed your mind? Log in and cancel the deletion before then.'
+      });
+    } catch (err) {
+      console.error('Deletion email could not be sent:', err.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Account scheduled for deletion in ${graceDays} day(s). Log in and cancel before then to keep it.`,
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a pending account deletion
+// @route   POST /api/auth/me/cancel-deletion
+// @access  Private
+const cancelMyAccountDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  exportMyData,
+  deleteMyAccount,
+  cancelMyAccountDeletion
+};
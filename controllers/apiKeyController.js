@@ -0,0 +1,100 @@
+const ApiKey = require('../models/ApiKey');
+
+// @desc    Create API key
+// @route   POST /api/auth/apikeys
+// @access  Private
+const createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes } = req.body;
+
+    // Users cannot hand a key more power than their role has
+    const forbiddenScopes = scopes.filter(scope =>
+      ApiKey.ADMIN_SCOPES.includes(scope) && !req.user.hasPermission(scope)
+    );
+
+    if (forbiddenScopes.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to grant scope(s): ${forbiddenScopes.join(', ')}`
+      });
+    }
+
+    const expiresInDays = req.body.expiresInDays ||
+      parseInt(process.env.API_KEY_DEFAULT_EXPIRE_DAYS) || 90;
+
+    const { apiKey, rawKey } = await ApiKey.issue({
+      user: req.user.id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key somewhere safe - it will not be shown again.',
+      key: rawKey,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user's API keys
+// @route   GET /api/auth/apikeys
+// @access  Private
+const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id }).sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke API key
+// @route   DELETE /api/auth/apikeys/:id
+// @access  Private
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    // Make sure user is key owner or may manage all keys
+    if (apiKey.user.toString() !== req.user.id && !req.user.hasPermission('apikey:manage')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to revoke this API key'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+};
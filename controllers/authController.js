@@ -1,11 +1,65 @@
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Invitation = require('../models/Invitation');
+const { ROLES } = require('../config/roles');
+const sendEmail = require('../utils/sendEmail');
+const sendTokenResponse = require('../utils/sendTokenResponse');
+const sendLockedResponse = require('../utils/sendLockedResponse');
+const { hashToken } = require('../utils/tokens');
+const { getPolicy, isReusedPassword, getReuseMessage } = require('../utils/passwordPolicy');
+const deleteUserAccount = require('../utils/deleteUserAccount');
+const escapeRegex = require('../utils/escapeRegex');
+const {
+  REFRESH_COOKIE,
+  getCsrfToken,
+  verifyCsrfToken,
+  setAuthCookies,
+  clearAuthCookies
+} = require('../utils/authCookies');
 
 // @desc    Register user
 // @route   POST /api/auth/register
+// @route   POST /api/auth/register/:inviteToken
 // @access  Public
 const register = async (req, res, next) => {
   try {
-    const { name, email, password, role, phone, dateOfBirth, bio } = req.body;
+    // Role is never taken from the request - new accounts get the default
+    // role, or the role they were invited with
+    const { name, email, password, phone, dateOfBirth, bio } = req.body;
+    const inviteToken = req.params.inviteToken || req.body.inviteToken;
+
+    if (User.isReservedEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is reserved'
+      });
+    }
+
+    let invitation;
+
+    if (inviteToken) {
+      invitation = await Invitation.findPendingByToken(inviteToken);
+
+      if (!invitation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invitation is invalid or has expired'
+        });
+      }
+
+      if (invitation.email !== email) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email does not match the invited address'
+        });
+      }
+    } else if (process.env.INVITE_ONLY_REGISTRATION === 'true') {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is by invitation only'
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -16,18 +70,46 @@ const register = async (req, res, next) => {
       });
     }
 
+    // Claim the invitation first so the same link cannot create two accounts
+    if (invitation && !await Invitation.claim({ _id: invitation._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
     // Create user
-    const user = await User.create({
-      name,
-      email,
-      password,
-      role,
-      phone,
-      dateOfBirth,
-      bio
-    });
+    let user;
+    try {
+      user = await User.create({
+        name,
+        email,
+        password,
+        phone,
+        dateOfBirth,
+        bio,
+        // The invitation link was delivered to this address
+        ...(invitation && { role: invitation.role, emailVerified: true })
+      });
+    } catch (err) {
+      if (invitation) {
+        await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+      }
+      throw err;
+    }
+
+    if (invitation) {
+      await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user._id });
+    } else {
+      // Registration still succeeds if the email fails - the user can resend it
+      try {
+        await sendVerificationEmail(user, req);
+      } catch (err) {
+        console.error('Verification email could not be sent:', err.message);
+      }
+    }
 
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, res);
   } catch (error) {
     next(error);
   }
@@ -50,20 +132,112 @@ const login = async (req, res, next) => {
       });
     }
 
+    if (user.isLocked()) {
+      return sendLockedResponse(user, res);
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      const locked = await user.registerFailedLogin();
+
+      if (locked) {
+        await notifyAccountLocked(user);
+        return sendLockedResponse(user, res);
+      }
+
+      // Slow down repeated guesses against the same account
+      await delay(getLoginDelay(user.failedLoginAttempts));
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // Accounts with 2FA must complete a second step before getting tokens
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
+
     // Update last login
     await user.updateLastLogin();
 
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete login with a two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and an authentication or recovery code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== '2fa-challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token, please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastStep');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token, please log in again'
+      });
+    }
+
+    if (user.isLocked()) {
+      return sendLockedResponse(user, res);
+    }
+
+    const verified = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      const locked = await user.registerFailedLogin();
+
+      if (locked) {
+        await notifyAccountLocked(user);
+        return sendLockedResponse(user, res);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Also persists the used TOTP step / consumed recovery code
+    await user.updateLastLogin();
+
+    await sendTokenResponse(user, 200, res);
   } catch (error) {
     next(error);
   }
@@ -96,7 +270,7 @@ const updateProfile = async (req, res, next) => {
       phone: req.body.phone,
       dateOfBirth: req.body.dateOfBirth,
       bio: req.body.bio,
-      avatar: req.body.avatar
+      favoriteGenres: req.body.favoriteGenres
     };
 
     // Remove undefined fields
@@ -104,6 +278,18 @@ const updateProfile = async (req, res, next) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
 
+    if (User.isReservedEmail(fieldsToUpdate.email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is reserved'
+      });
+    }
+
+    // A new email address has to be verified again
+    if (fieldsToUpdate.email && fieldsToUpdate.email !== req.user.email) {
+      fieldsToUpdate.emailVerified = false;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       fieldsToUpdate,
@@ -129,15 +315,8 @@ const changePassword = async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide current password and new password'
-      });
-    }
-
-    // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    // Get user with password and the passwords used before
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     // Check current password
     if (!(await user.matchPassword(currentPassword))) {
@@ -147,21 +326,297 @@ const changePassword = async (req, res, next) => {
       });
     }
 
-    // Update password
+    if (await isReusedPassword(user, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: getReuseMessage()
+      });
+    }
+
+    // Update password - this also bumps the token version
     user.password = newPassword;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Log out every existing session; the response below starts a fresh one
+    await Session.revokeAllForUser(user._id, 'password-change');
+
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get password requirements
+// @route   GET /api/auth/password-policy
+// @access  Public
+const getPasswordPolicy = (req, res) => {
+  const { checkBreached, ...policy } = getPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...policy,
+      rejectsBreachedPasswords: checkBreached
+    }
+  });
+};
+
+// @desc    Forgot password
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  // Same response whether or not the email exists, so the endpoint
+  // cannot be used to discover registered accounts
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Get reset token
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}/api/auth`;
+    const resetUrl = `${baseUrl}/resetpassword/${resetToken}`;
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: 'Password reset request',
+        text: `You are receiving this email because a password reset was requested for your account.\n\n` +
+          `Send a PUT request with your new password to:\n\n${resetUrl}\n\n` +
+          'If you did not request this, you can safely ignore this email.'
+      });
+    } catch (err) {
+      // Don't leave a usable token behind if it could not be delivered. The
+      // response stays the same so it does not reveal that the account exists.
+      console.error('Password reset email could not be sent:', err.message);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password
+// @route   PUT /api/auth/resetpassword/:resettoken
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(req.params.resettoken),
+      resetPasswordExpire: { $gt: Date.now() }
+    }).select('+password +passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    if (await isReusedPassword(user, req.body.password)) {
+      return res.status(400).json({
+        success: false,
+        message: getReuseMessage()
+      });
+    }
+
+    // Set new password and invalidate the token - it is single use
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.unlock();
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password-change');
+
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend email verification
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    try {
+      await sendVerificationEmail(user, req);
+    } catch (err) {
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refreshToken = async (req, res, next) => {
+  try {
+    // Browser clients send the refresh token as an httpOnly cookie
+    const fromCookie = !req.body.refreshToken && Boolean(req.cookies && req.cookies[REFRESH_COOKIE]);
+    const token = req.body.refreshToken || (fromCookie && req.cookies[REFRESH_COOKIE]);
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const tokenHash = hashToken(token);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash })
+      .select('+refreshTokenHash +previousTokenHashes');
+
+    if (!session) {
+      // A rotated-out token being replayed means it was leaked - kill the session
+      const compromised = await Session.findOne({ previousTokenHashes: tokenHash });
+
+      if (compromised && !compromised.revokedAt) {
+        await compromised.revoke('reuse-detected');
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isValid()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    if (fromCookie && !verifyCsrfToken(req, session._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or missing CSRF token'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke();
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or deactivated'
+      });
+    }
+
+    const newRefreshToken = await session.rotateRefreshToken(req);
+
+    // Another request rotated the same token first - treat it as reuse
+    if (!newRefreshToken) {
+      await Session.updateOne(
+        { _id: session._id, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+      );
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const newToken = user.getSignedJwtToken(session._id);
+
+    setAuthCookies(res, { token: newToken, refreshToken: newRefreshToken, session });
+
+    res.status(200).json({
+      success: true,
+      token: newToken,
+      refreshToken: newRefreshToken,
+      csrfToken: getCsrfToken(session._id),
+      data: user
+    });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Logout user / clear cookie
+// @desc    Logout user / revoke session
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res, next) => {
   try {
+    // Logging out of an impersonation ends it; the admin's own sessions are untouched
+    if (req.impersonation) {
+      await req.impersonation.end();
+    } else if (req.body.allSessions) {
+      await Session.revokeAllForUser(req.user.id);
+    } else {
+      await req.authSession.revoke();
+    }
+
+    clearAuthCookies(res);
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -171,21 +626,66 @@ const logout = async (req, res, next) => {
   }
 };
 
-// @desc    Get all users (Admin only)
+// Fields admins may sort the user list by
+const USER_SORT_FIELDS = ['name', 'email', 'role', 'isActive', 'emailVerified', 'lastLogin', 'createdAt', 'updatedAt'];
+
+// @desc    Get all users with search and filters (Admin only)
 // @route   GET /api/auth/users
 // @access  Private/Admin
 const getUsers = async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
     const skip = (page - 1) * limit;
 
-    const users = await User.find()
-      .sort({ createdAt: -1 })
+    const filter = {};
+
+    // Role (comma separated for several roles)
+    if (req.query.role) {
+      filter.role = { $in: req.query.role.split(',') };
+    }
+
+    // Account status
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.emailVerified !== undefined) {
+      filter.emailVerified = req.query.emailVerified === 'true';
+    }
+
+    // Date ranges
+    const lastLogin = buildDateRange(req.query.lastLoginFrom, req.query.lastLoginTo);
+    if (lastLogin) {
+      filter.lastLogin = lastLogin;
+    }
+
+    const createdAt = buildDateRange(req.query.createdFrom, req.query.createdTo);
+    if (createdAt) {
+      filter.createdAt = createdAt;
+    }
+
+    // Search by name or email
+    if (req.query.search) {
+      const pattern = escapeRegex(req.query.search);
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    // Sort by whitelisted fields only
+    const sort = (req.query.sort || '-createdAt')
+      .split(',')
+      .filter(field => USER_SORT_FIELDS.includes(field.replace(/^-/, '')))
+      .join(' ') || '-createdAt';
+
+    const users = await User.find(filter)
+      .sort(sort)
       .skip(skip)
       .limit(limit);
 
-    const total = await User.countDocuments();
+    const total = await User.countDocuments(filter);
 
     res.status(200).json({
       success: true,
@@ -231,9 +731,52 @@ const getUser = async (req, res, next) => {
 // @access  Private/Admin
 const updateUser = async (req, res, next) => {
   try {
+    // Roles are changed through PUT /api/auth/users/:id/role
+    const allowedFields = ['name', 'email', 'phone', 'dateOfBirth', 'bio', 'avatar', 'isActive'];
+    const update = {};
+
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        update[field] = req.body[field];
+      }
+    });
+
+    if (User.isReservedEmail(update.email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is reserved'
+      });
+    }
+
+    // Cast as the update would, so "false" is treated like false below
+    if (update.isActive !== undefined) {
+      update.isActive = User.castObject({ isActive: update.isActive }).isActive;
+    }
+
+    // Never leave the system without an administrator
+    if (update.isActive === false) {
+      const existing = await User.findById(req.params.id);
+
+      if (existing && await isLastActiveAdmin(existing)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot deactivate the last active admin'
+        });
+      }
+    }
+
+    // Any admin change to the account logs the user out everywhere, so
+    // tokens never outlive the state they were issued for
+    update.$inc = { tokenVersion: 1 };
+
+    // Reactivating a soft-deleted account restores it
+    if (update.isActive === true) {
+      update.$unset = { deletedAt: 1 };
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       {
         new: true,
         runValidators: true
@@ -247,6 +790,146 @@ const updateUser = async (req, res, next) => {
       });
     }
 
+    await Session.revokeAllForUser(user._id, 'account-update');
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Assign a role to a user (Admin only)
+// @route   PUT /api/auth/users/:id/role
+// @access  Private/Admin
+const assignRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Never leave the system without an administrator
+    if (role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove the role of the last active admin'
+      });
+    }
+
+    if (user.role !== role) {
+      user.role = role;
+      await invalidateUserTokens(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate, reactivate or change the role of many users (Admin only)
+// @route   POST /api/auth/users/bulk
+// @access  Private/Admin
+const bulkUpdateUsers = async (req, res, next) => {
+  try {
+    const { action, role } = req.body;
+    const ids = [...new Set(req.body.ids)];
+
+    if (action === 'role' && !req.user.hasPermission('role:assign')) {
+      return res.status(403).json({
+        success: false,
+        message: `User role ${req.user.role} is not authorized to assign roles`
+      });
+    }
+
+    const users = await User.find({ _id: { $in: ids } });
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const results = [];
+
+    // Process one by one so every user gets its own result
+    for (const id of ids) {
+      const user = usersById.get(id);
+
+      if (!user) {
+        results.push({ id, status: 'failed', message: 'User not found' });
+        continue;
+      }
+
+      try {
+        const result = await applyBulkAction(user, action, role, req.user);
+        results.push({ id, ...result });
+      } catch (err) {
+        results.push({ id, status: 'failed', message: err.message });
+      }
+    }
+
+    const countByStatus = (status) => results.filter(result => result.status === status).length;
+
+    res.status(200).json({
+      success: true,
+      summary: {
+        requested: ids.length,
+        updated: countByStatus('updated'),
+        skipped: countByStatus('skipped'),
+        failed: countByStatus('failed')
+      },
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get roles and their permissions
+// @route   GET /api/auth/roles
+// @access  Private/Admin
+const getRoles = async (req, res, next) => {
+  try {
+    const data = Object.keys(ROLES).map(role => ({
+      role,
+      permissions: ROLES[role]
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlock a locked user account (Admin only)
+// @route   PUT /api/auth/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.unlock();
+    await user.save({ validateBeforeSave: false });
+
     res.status(200).json({
       success: true,
       data: user
@@ -261,6 +944,8 @@ const updateUser = async (req, res, next) => {
 // @access  Private/Admin
 const deleteUser = async (req, res, next) => {
   try {
+    const { mode = 'soft', movieAction, reassignTo } = req.query;
+
     const user = await User.findById(req.params.id);
 
     if (!user) {
@@ -270,41 +955,202 @@ const deleteUser = async (req, res, next) => {
       });
     }
 
-    await user.deleteOne();
+    if (user._id.equals(req.user._id) || user.email === User.DELETED_USER_EMAIL) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account cannot be deleted'
+      });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last active admin'
+      });
+    }
+
+    // Soft delete (default): deactivate and keep everything in place
+    if (mode === 'soft') {
+      user.isActive = false;
+      user.deletedAt = new Date();
+      await invalidateUserTokens(user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'User deactivated successfully'
+      });
+    }
+
+    // Hard delete: the user's movies must go somewhere first
+    let newOwner;
+
+    if (movieAction === 'reassign') {
+      newOwner = await User.findById(reassignTo);
+
+      if (!newOwner || !newOwner.isActive || newOwner._id.equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'reassignTo must be another active user'
+        });
+      }
+    }
+
+    const result = await deleteUserAccount(user, {
+      newOwner,
+      archive: movieAction === 'archive'
+    });
 
     res.status(200).json({
       success: true,
-      message: 'User deleted successfully'
+      message: movieAction === 'archive'
+        ? `User deleted and ${result.moviesAffected} movie(s) archived`
+        : `User deleted and ${result.moviesAffected} movie(s) reassigned to ${result.newOwner.name}`,
+      data: {
+        movieAction,
+        moviesAffected: result.moviesAffected,
+        newOwner: result.newOwner._id
+      }
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// Build a { $gte, $lte } filter from optional ISO date strings
+const buildDateRange = (from, to) => {
+  const range = {};
 
-  // Remove password from output
-  user.password = undefined;
+  if (from && !isNaN(Date.parse(from))) {
+    range.$gte = new Date(from);
+  }
 
-  res.status(statusCode).json({
-    success: true,
-    token,
-    data: user
+  if (to && !isNaN(Date.parse(to))) {
+    range.$lte = new Date(to);
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Check whether removing this user's admin rights would leave no active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) {
+    return false;
+  }
+
+  const adminCount = await User.countDocuments({ role: 'admin', isActive: true });
+  return adminCount <= 1;
+};
+
+// Save the user with a bumped token version and log them out everywhere
+const invalidateUserTokens = async (user) => {
+  user.tokenVersion += 1;
+  await user.save({ validateBeforeSave: false });
+  await Session.revokeAllForUser(user._id, 'account-update');
+};
+
+// Apply one bulk action to one user, returning its status and a message
+const applyBulkAction = async (user, action, role, actingUser) => {
+  if (user._id.equals(actingUser._id) && action !== 'reactivate') {
+    return { status: 'skipped', message: 'You cannot change your own account in a bulk operation' };
+  }
+
+  switch (action) {
+    case 'deactivate':
+      if (!user.isActive) {
+        return { status: 'skipped', message: 'Already deactivated' };
+      }
+      if (await isLastActiveAdmin(user)) {
+        return { status: 'skipped', message: 'Cannot deactivate the last active admin' };
+      }
+      user.isActive = false;
+      await invalidateUserTokens(user);
+      return { status: 'updated', message: 'Deactivated' };
+
+    case 'reactivate':
+      if (user.isActive) {
+        return { status: 'skipped', message: 'Already active' };
+      }
+      user.isActive = true;
+      user.deletedAt = undefined;
+      await user.save({ validateBeforeSave: false });
+      return { status: 'updated', message: 'Reactivated' };
+
+    case 'role':
+      if (user.role === role) {
+        return { status: 'skipped', message: `Already has role ${role}` };
+      }
+      if (await isLastActiveAdmin(user)) {
+        return { status: 'skipped', message: 'Cannot remove the role of the last active admin' };
+      }
+      user.role = role;
+      await invalidateUserTokens(user);
+      return { status: 'updated', message: `Role changed to ${role}` };
+
+    default:
+      throw new Error(`Unknown action ${action}`);
+  }
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Progressive delay after failed logins: base, 2x, 4x... capped at 8 seconds
+const getLoginDelay = (attempts) => {
+  const baseDelay = parseInt(process.env.LOGIN_DELAY_MS) || 250;
+  return Math.min(baseDelay * Math.pow(2, Math.max(attempts - 1, 0)), 8000);
+};
+
+// Helper function to let the owner know their account was locked
+const notifyAccountLocked = async (user) => {
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      text: `We locked your account after too many failed login attempts.\n\n` +
+        `You can try again after ${user.lockUntil.toISOString()}, or reset your password to unlock it now.\n\n` +
+        'If this was not you, we recommend resetting your password.'
+    });
+  } catch (err) {
+    console.error('Lockout email could not be sent:', err.message);
+  }
+};
+
+// Helper function to create a verification token and email it to the user
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}/api/auth`;
+  const verifyUrl = `${baseUrl}/verify-email/${verificationToken}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Welcome to Movies API, ${user.name}!\n\n` +
+      `Please confirm your email address by opening:\n\n${verifyUrl}\n\n` +
+      'If you did not create an account, you can safely ignore this email.'
   });
 };
 
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   getMe,
   updateProfile,
   changePassword,
+  getPasswordPolicy,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
   logout,
   getUsers,
   getUser,
   updateUser,
+  assignRole,
+  bulkUpdateUsers,
+  getRoles,
+  unlockUser,
   deleteUser
 };
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { createAvatarVariants } = require('../utils/imageProcessing');
+const { saveFile, removeFiles } = require('../utils/storage');
+
+// @desc    Upload profile avatar
+// @route   PUT /api/auth/profile/avatar
+// @access  Private
+const uploadAvatar = async (req, res, next) => {
+  try {
+    const variants = await createAvatarVariants(req.file.buffer);
+
+    // A new file name per upload so cached copies of the old avatar are not served
+    const version = crypto.randomBytes(6).toString('hex');
+    const avatarVariants = {};
+    const avatarFiles = [];
+
+    for (const [size, buffer] of Object.entries(variants)) {
+      const key = `avatars/${req.user.id}/${version}-${size}.webp`;
+      avatarVariants[size] = await saveFile(key, buffer, 'image/webp');
+      avatarFiles.push(key);
+    }
+
+    const user = await User.findById(req.user.id).select('+avatarFiles');
+    const previousFiles = user.avatarFiles || [];
+
+    user.avatar = avatarVariants.large;
+    user.avatarVariants = avatarVariants;
+    user.avatarFiles = avatarFiles;
+    await user.save({ validateBeforeSave: false });
+
+    await removeFiles(previousFiles);
+
+    user.avatarFiles = undefined;
+
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove profile avatar
+// @route   DELETE /api/auth/profile/avatar
+// @access  Private
+const deleteAvatar = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+avatarFiles');
+    const previousFiles = user.avatarFiles || [];
+
+    user.avatar = undefined;
+    user.avatarVariants = undefined;
+    user.avatarFiles = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await removeFiles(previousFiles);
+
+    // Re-read so the default placeholder avatar is returned
+    const updatedUser = await User.findById(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: updatedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadAvatar,
+  deleteAvatar
+};
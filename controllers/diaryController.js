@@ -0,0 +1,318 @@
+const Movie = require('../models/Movie');
+const DiaryEntry = require('../models/DiaryEntry');
+
+// Movie fields shown for diary entries
+const DIARY_MOVIE_FIELDS = 'title posterUrl releaseDate duration genre director';
+
+// Number of genres and directors returned by the diary statistics
+const TOP_STATS_LIMIT = 10;
+
+// Diary entries outlive movies deleted from the catalog. Their movie no
+// longer populates and is shown as a removed movie instead.
+const formatEntry = (entry) => {
+  const data = entry.toJSON();
+
+  if (!data.movie) {
+    data.movie = {
+      title: entry.removedMovieTitle || 'Removed movie',
+      removed: true
+    };
+  }
+
+  delete data.removedMovieTitle;
+  return data;
+};
+
+// Diary filter for the current user from the year, month, movie and rewatch
+// query parameters
+const buildDiaryFilter = (req) => {
+  const filter = { user: req.user._id };
+
+  if (req.query.year) {
+    filter.watchedAt = DiaryEntry.getPeriod(req.query.year, req.query.month);
+  }
+
+  if (req.query.movie) {
+    filter.movie = req.query.movie;
+  }
+
+  if (req.query.rewatch !== undefined) {
+    filter.rewatch = req.query.rewatch;
+  }
+
+  return filter;
+};
+
+// @desc    Get the current user's watch diary
+// @route   GET /api/diary
+// @access  Private
+const getDiary = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = buildDiaryFilter(req);
+
+    const entries = await DiaryEntry.find(filter)
+      .populate('movie', DIARY_MOVIE_FIELDS)
+      .sort({ watchedAt: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DiaryEntry.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: entries.map(formatEntry)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get viewing statistics from the current user's diary
+// @route   GET /api/diary/stats
+// @access  Private
+const getDiaryStats = async (req, res, next) => {
+  try {
+    const match = { user: req.user._id };
+
+    if (req.query.year) {
+      match.watchedAt = DiaryEntry.getPeriod(req.query.year, req.query.month);
+    }
+
+    // Every statistic is based on the diary entries joined with their movie.
+    // Entries of deleted movies still count, without movie details.
+    const withMovie = [
+      { $match: match },
+      {
+        $lookup: {
+          from: Movie.collection.name,
+          localField: 'movie',
+          foreignField: '_id',
+          as: 'details'
+        }
+      },
+      { $unwind: { path: '$details', preserveNullAndEmptyArrays: true } }
+    ];
+
+    const stats = await DiaryEntry.aggregate([
+      ...withMovie,
+      {
+        $group: {
+          _id: null,
+          totalEntries: { $sum: 1 },
+          movies: { $addToSet: '$movie' },
+          rewatches: { $sum: { $cond: ['$rewatch', 1, 0] } },
+          totalMinutes: { $sum: '$details.duration' },
+          avgRating: { $avg: '$rating' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          totalEntries: 1,
+          uniqueMovies: { $size: '$movies' },
+          rewatches: 1,
+          totalMinutes: 1,
+          avgRating: 1
+        }
+      }
+    ]);
+
+    const genreStats = await DiaryEntry.aggregate([
+      ...withMovie,
+      { $unwind: '$details.genre' },
+      {
+        $group: {
+          _id: '$details.genre',
+          count: { $sum: 1 },
+          minutes: { $sum: '$details.duration' },
+          avgRating: { $avg: '$rating' }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: TOP_STATS_LIMIT }
+    ]);
+
+    const directorStats = await DiaryEntry.aggregate([
+      ...withMovie,
+      { $match: { 'details.director': { $exists: true } } },
+      {
+        $group: {
+          _id: '$details.director',
+          count: { $sum: 1 },
+          minutes: { $sum: '$details.duration' },
+          avgRating: { $avg: '$rating' }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: TOP_STATS_LIMIT }
+    ]);
+
+    const monthStats = await DiaryEntry.aggregate([
+      ...withMovie,
+      {
+        $group: {
+          _id: {
+            year: { $year: '$watchedAt' },
+            month: { $month: '$watchedAt' }
+          },
+          count: { $sum: 1 },
+          minutes: { $sum: '$details.duration' }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        overview: stats[0] || {},
+        topGenres: genreStats,
+        topDirectors: directorStats,
+        byMonth: monthStats
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single diary entry
+// @route   GET /api/diary/:id
+// @access  Private
+const getDiaryEntry = async (req, res, next) => {
+  try {
+    const entry = await DiaryEntry.findOne({ _id: req.params.id, user: req.user._id })
+      .populate('movie', DIARY_MOVIE_FIELDS);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Diary entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatEntry(entry)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log a movie in the diary
+// @route   POST /api/diary
+// @access  Private
+const createDiaryEntry = async (req, res, next) => {
+  try {
+    const movie = await Movie.findById(req.body.movie).select('_id');
+
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie not found'
+      });
+    }
+
+    const watchedAt = req.body.watchedAt || new Date();
+
+    // Unless told otherwise, a movie already in the diary is a rewatch
+    const rewatch = req.body.rewatch !== undefined
+      ? req.body.rewatch
+      : await DiaryEntry.hasWatchedBefore(req.user._id, movie._id, watchedAt);
+
+    const entry = await DiaryEntry.create({
+      user: req.user._id,
+      movie: movie._id,
+      watchedAt,
+      rewatch,
+      rating: req.body.rating,
+      note: req.body.note
+    });
+
+    await entry.populate('movie', DIARY_MOVIE_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update diary entry
+// @route   PUT /api/diary/:id
+// @access  Private
+const updateDiaryEntry = async (req, res, next) => {
+  try {
+    const entry = await DiaryEntry.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Diary entry not found'
+      });
+    }
+
+    // null clears the optional rating and note
+    ['watchedAt', 'rewatch', 'rating', 'note'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        entry[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    });
+
+    await entry.save();
+    await entry.populate('movie', DIARY_MOVIE_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: formatEntry(entry)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete diary entry
+// @route   DELETE /api/diary/:id
+// @access  Private
+const deleteDiaryEntry = async (req, res, next) => {
+  try {
+    const entry = await DiaryEntry.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Diary entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Diary entry deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDiary,
+  getDiaryStats,
+  getDiaryEntry,
+  createDiaryEntry,
+  updateDiaryEntry,
+  deleteDiaryEntry
+};
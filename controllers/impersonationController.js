@@ -0,0 +1,192 @@
+const User = require('../models/User');
+const Impersonation = require('../models/Impersonation');
+const ImpersonationAction = require('../models/ImpersonationAction');
+
+// @desc    Start impersonating a user (Admin only)
+// @route   POST /api/auth/users/:id/impersonate
+// @access  Private/Admin
+const startImpersonation = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    // Admins cannot borrow each other's privileges
+    if (user.hasPermission('user:impersonate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Users with impersonation rights cannot be impersonated'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot impersonate a deactivated user'
+      });
+    }
+
+    const minutes = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15;
+
+    const impersonation = await Impersonation.create({
+      admin: req.user.id,
+      user: user._id,
+      reason: req.body.reason,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      token: impersonation.getSignedToken(user, req.user),
+      expiresAt: impersonation.expiresAt,
+      data: {
+        impersonation: impersonation._id,
+        user
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End the current impersonation
+// @route   POST /api/auth/impersonation/end
+// @access  Private (impersonation token)
+const endImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({
+        success: false,
+        message: 'This request is not made with an impersonation token'
+      });
+    }
+
+    await req.impersonation.end();
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get impersonation audit records (Admin only)
+// @route   GET /api/auth/impersonations
+// @access  Private/Admin
+const getImpersonations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.admin) {
+      filter.admin = req.query.admin;
+    }
+
+    if (req.query.user) {
+      filter.user = req.query.user;
+    }
+
+    if (req.query.active === 'true') {
+      filter.endedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const impersonations = await Impersonation.find(filter)
+      .populate('admin', 'name email')
+      .populate('user', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Impersonation.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: impersonations.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: impersonations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single impersonation record with its actions (Admin only)
+// @route   GET /api/auth/impersonations/:id
+// @access  Private/Admin
+const getImpersonation = async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id)
+      .populate('admin', 'name email')
+      .populate('user', 'name email');
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation record not found'
+      });
+    }
+
+    // Recorded requests are paginated, oldest first
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const skip = (page - 1) * limit;
+
+    const filter = { impersonation: impersonation._id };
+
+    const actions = await ImpersonationAction.find(filter)
+      .select('-impersonation')
+      .sort('at')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ImpersonationAction.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: {
+        ...impersonation.toObject(),
+        actions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  endImpersonation,
+  getImpersonations,
+  getImpersonation
+};
@@ -0,0 +1,213 @@
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const sendEmail = require('../utils/sendEmail');
+
+// @desc    Invite someone to create an account (Admin only)
+// @route   POST /api/auth/invitations
+// @access  Private/Admin
+const createInvitation = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already exists with this email'
+      });
+    }
+
+    const { invitation, token } = await Invitation.issue({
+      email,
+      role,
+      invitedBy: req.user.id,
+      expiresInDays: getExpiresInDays(req)
+    });
+
+    await sendInvitationEmail(invitation, token, req);
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get invitations (Admin only)
+// @route   GET /api/auth/invitations
+// @access  Private/Admin
+const getInvitations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    const now = new Date();
+
+    switch (req.query.status) {
+      case 'pending':
+        Object.assign(filter, Invitation.pendingFilter());
+        break;
+      case 'accepted':
+        filter.acceptedAt = { $ne: null };
+        break;
+      case 'revoked':
+        filter.revokedAt = { $ne: null };
+        break;
+      case 'expired':
+        Object.assign(filter, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+        break;
+    }
+
+    if (req.query.email) {
+      filter.email = req.query.email.toLowerCase();
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Invitation.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an invitation (Admin only)
+// @route   DELETE /api/auth/invitations/:id
+// @access  Private/Admin
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send an invitation again with a new link and expiry (Admin only)
+// @route   POST /api/auth/invitations/:id/resend
+// @access  Private/Admin
+const resendInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    // Expired invitations can be renewed, used or revoked ones cannot
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation is already ${invitation.status}`
+      });
+    }
+
+    const token = invitation.renew(getExpiresInDays(req));
+    await invitation.save();
+
+    await sendInvitationEmail(invitation, token, req);
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Look up an invitation before registering
+// @route   GET /api/auth/register/:inviteToken
+// @access  Public
+const getInvitationByToken = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findPendingByToken(req.params.inviteToken);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getExpiresInDays = (req) =>
+  req.body.expiresInDays || parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+// Helper function to email the registration link
+const sendInvitationEmail = async (invitation, token, req) => {
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}/api/auth`;
+  const registerUrl = `${baseUrl}/register/${token}`;
+
+  await sendEmail({
+    to: invitation.email,
+    subject: 'You have been invited to Movies API',
+    text: `${req.user.name} has invited you to join Movies API as ${invitation.role}.\n\n` +
+      `Create your account by opening:\n\n${registerUrl}\n\n` +
+      `This invitation expires on ${invitation.expiresAt.toUTCString()}.`
+  });
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  resendInvitation,
+  getInvitationByToken
+};
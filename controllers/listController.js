@@ -0,0 +1,564 @@
+const Movie = require('../models/Movie');
+const List = require('../models/List');
+const escapeRegex = require('../utils/escapeRegex');
+
+// Fields public lists can be sorted by
+const LIST_SORT_FIELDS = ['likeCount', 'createdAt', 'updatedAt', 'title'];
+
+// Movie fields shown for list entries
+const ENTRY_MOVIE_FIELDS = 'title posterUrl releaseDate rating communityScore genre director duration status';
+
+// @desc    Browse public lists, most liked first
+// @route   GET /api/lists
+// @access  Public
+const getLists = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { visibility: 'public' };
+
+    if (req.query.search) {
+      filter.title = { $regex: escapeRegex(req.query.search), $options: 'i' };
+    }
+
+    if (req.query.owner) {
+      filter.owner = req.query.owner;
+    }
+
+    // Lists that contain a given movie
+    if (req.query.movie) {
+      filter['entries.movie'] = req.query.movie;
+    }
+
+    // Only whitelisted fields can be sorted on
+    const sort = (req.query.sort || '-likeCount,-updatedAt')
+      .split(',')
+      .filter(field => LIST_SORT_FIELDS.includes(field.replace(/^-/, '')))
+      .join(' ') || '-likeCount';
+
+    const lists = await List.find(filter)
+      .populate('owner', 'name avatar')
+      .populate('entries.movie', 'title posterUrl')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await List.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: lists
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's lists
+// @route   GET /api/lists/me
+// @access  Private
+const getMyLists = async (req, res, next) => {
+  try {
+    const lists = await List.find({ owner: req.user.id })
+      .select('+shareToken')
+      .populate('entries.movie', 'title posterUrl')
+      .sort('-updatedAt');
+
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      data: lists.map(list => withShareUrl(req, list))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single list
+// @route   GET /api/lists/:id
+// @access  Public (private and unlisted lists only for their owner)
+const getList = async (req, res, next) => {
+  try {
+    const list = await List.findById(req.params.id)
+      .select('+shareToken')
+      .populate('owner', 'name avatar')
+      .populate('entries.movie', ENTRY_MOVIE_FIELDS);
+
+    // Lists the caller may not see are reported as missing
+    if (!list || !list.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: list.isOwnedBy(req.user) ? withShareUrl(req, list) : withoutShareToken(list)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a list through its share link
+// @route   GET /api/lists/shared/:shareToken
+// @access  Public
+const getSharedList = async (req, res, next) => {
+  try {
+    const list = await List.findOne({
+      shareToken: req.params.shareToken,
+      visibility: { $ne: 'private' }
+    })
+      .populate('owner', 'name avatar')
+      .populate('entries.movie', ENTRY_MOVIE_FIELDS);
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link is invalid or has been revoked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create list
+// @route   POST /api/lists
+// @access  Private
+const createList = async (req, res, next) => {
+  try {
+    const list = await List.create({
+      owner: req.user.id,
+      title: req.body.title,
+      description: req.body.description,
+      visibility: req.body.visibility
+    });
+
+    res.status(201).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update list details
+// @route   PUT /api/lists/:id
+// @access  Private
+const updateList = async (req, res, next) => {
+  try {
+    const list = await findEditableList(req, res);
+    if (!list) return;
+
+    ['title', 'description', 'visibility'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        list[field] = req.body[field];
+      }
+    });
+
+    await list.save();
+    await list.populate('entries.movie', ENTRY_MOVIE_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: withShareUrl(req, list)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete list
+// @route   DELETE /api/lists/:id
+// @access  Private
+const deleteList = async (req, res, next) => {
+  try {
+    const list = await List.findById(req.params.id);
+
+    if (!list || (!list.isVisibleTo(req.user) && !req.user.hasPermission('list:delete:any'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    // Make sure user owns the list or may delete any list
+    if (!req.user.can('list:delete', list.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this list'
+      });
+    }
+
+    await list.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'List deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a movie to a list
+// @route   POST /api/lists/:id/entries
+// @access  Private
+const addEntry = async (req, res, next) => {
+  try {
+    const list = await findEditableList(req, res);
+    if (!list) return;
+
+    const movie = await Movie.findById(req.body.movie).select('_id');
+
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie not found'
+      });
+    }
+
+    if (list.findEntry(movie._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Movie is already in this list'
+      });
+    }
+
+    const entry = list.entries.create({ movie: movie._id, note: req.body.note });
+    list.entries.push(entry);
+
+    // New movies go to the end unless a position is given
+    if (req.body.position !== undefined) {
+      list.moveEntry(entry, req.body.position);
+    }
+
+    await list.save();
+    await list.populate('entries.movie', ENTRY_MOVIE_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      data: list.entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change the note or position of a movie in a list
+// @route   PUT /api/lists/:id/entries/:movieId
+// @access  Private
+const updateEntry = async (req, res, next) => {
+  try {
+    const list = await findEditableList(req, res);
+    if (!list) return;
+
+    const entry = list.findEntry(req.params.movieId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie is not in this list'
+      });
+    }
+
+    if (req.body.note !== undefined) {
+      entry.note = req.body.note;
+    }
+
+    if (req.body.position !== undefined) {
+      list.moveEntry(entry, req.body.position);
+    }
+
+    await list.save();
+    await list.populate('entries.movie', ENTRY_MOVIE_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: list.entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reorder all movies in a list
+// @route   PUT /api/lists/:id/entries
+// @access  Private
+const reorderEntries = async (req, res, next) => {
+  try {
+    const list = await findEditableList(req, res);
+    if (!list) return;
+
+    const order = req.body.movies.map(String);
+    const entries = order.map(movieId => list.findEntry(movieId));
+
+    // The new order must contain every movie of the list exactly once
+    if (order.length !== list.entries.length ||
+      new Set(order).size !== order.length ||
+      entries.some(entry => !entry)) {
+      return res.status(400).json({
+        success: false,
+        message: 'movies must list every movie of the list exactly once'
+      });
+    }
+
+    list.entries = entries;
+
+    await list.save();
+    await list.populate('entries.movie', ENTRY_MOVIE_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: list.entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a movie from a list
+// @route   DELETE /api/lists/:id/entries/:movieId
+// @access  Private
+const removeEntry = async (req, res, next) => {
+  try {
+    const list = await findEditableList(req, res);
+    if (!list) return;
+
+    const entry = list.findEntry(req.params.movieId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie is not in this list'
+      });
+    }
+
+    entry.deleteOne();
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Movie removed from list'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a share link, replacing any previous one
+// @route   POST /api/lists/:id/share
+// @access  Private
+const createShareLink = async (req, res, next) => {
+  try {
+    const list = await findEditableList(req, res);
+    if (!list) return;
+
+    if (list.visibility === 'private') {
+      return res.status(400).json({
+        success: false,
+        message: 'Make the list public or unlisted before sharing it'
+      });
+    }
+
+    list.createShareToken();
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        shareToken: list.shareToken,
+        shareUrl: getShareUrl(req, list.shareToken)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke the share link of a list
+// @route   DELETE /api/lists/:id/share
+// @access  Private
+const revokeShareLink = async (req, res, next) => {
+  try {
+    const list = await findEditableList(req, res);
+    if (!list) return;
+
+    list.shareToken = undefined;
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Like a list
+// @route   PUT /api/lists/:id/like
+// @access  Private
+const likeList = async (req, res, next) => {
+  try {
+    const list = await List.findById(req.params.id);
+
+    // Unlisted lists can only be liked through their share link
+    if (!list || !list.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    await addLike(req, res, list);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Like a list through its share link
+// @route   PUT /api/lists/shared/:shareToken/like
+// @access  Private
+const likeSharedList = async (req, res, next) => {
+  try {
+    const list = await List.findOne({
+      shareToken: req.params.shareToken,
+      visibility: { $ne: 'private' }
+    });
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link is invalid or has been revoked'
+      });
+    }
+
+    await addLike(req, res, list);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a like from a list
+// @route   DELETE /api/lists/:id/like
+// @access  Private
+const unlikeList = async (req, res, next) => {
+  try {
+    await List.updateOne(
+      { _id: req.params.id, likedBy: req.user._id },
+      { $pull: { likedBy: req.user._id }, $inc: { likeCount: -1 } },
+      { timestamps: false }
+    );
+
+    const list = await List.findById(req.params.id).select('likeCount');
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'List not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { liked: false, likeCount: list.likeCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Like a list for the current user and send the new like count
+const addLike = async (req, res, list) => {
+  // Liking twice has no effect
+  await List.updateOne(
+    { _id: list._id, likedBy: { $ne: req.user._id } },
+    { $push: { likedBy: req.user._id }, $inc: { likeCount: 1 } },
+    { timestamps: false }
+  );
+
+  const { likeCount } = await List.findById(list._id).select('likeCount');
+
+  res.status(200).json({
+    success: true,
+    data: { liked: true, likeCount }
+  });
+};
+
+// Load the list and check the user may edit it. Sends the error response and
+// returns null when the list is missing or the user is not allowed.
+const findEditableList = async (req, res) => {
+  const list = await List.findById(req.params.id).select('+shareToken');
+
+  if (!list || !list.isVisibleTo(req.user)) {
+    res.status(404).json({
+      success: false,
+      message: 'List not found'
+    });
+    return null;
+  }
+
+  if (!req.user.can('list:update', list.owner)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this list'
+    });
+    return null;
+  }
+
+  return list;
+};
+
+const getShareUrl = (req, shareToken) => {
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${baseUrl}/lists/shared/${shareToken}`;
+};
+
+// Owners see the share link of their list
+const withShareUrl = (req, list) => ({
+  ...list.toJSON(),
+  shareUrl: list.shareToken ? getShareUrl(req, list.shareToken) : null
+});
+
+const withoutShareToken = (list) => {
+  const data = list.toJSON();
+  delete data.shareToken;
+  return data;
+};
+
+module.exports = {
+  getLists,
+  getMyLists,
+  getList,
+  getSharedList,
+  createList,
+  updateList,
+  deleteList,
+  addEntry,
+  updateEntry,
+  reorderEntries,
+  removeEntry,
+  createShareLink,
+  revokeShareLink,
+  likeList,
+  likeSharedList,
+  unlikeList
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const Movie = require('../models/Movie');
+const { createMediaVariants } = require('../utils/imageProcessing');
+const { saveFile, removeFiles } = require('../utils/storage');
+
+// @desc    Get media gallery of a movie
+// @route   GET /api/movies/:id/media
+// @access  Public
+const getMedia = async (req, res, next) => {
+  try {
+    const movie = await Movie.findById(req.params.id).select('media');
+
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie not found'
+      });
+    }
+
+    const media = req.query.type
+      ? movie.media.filter(item => item.type === req.query.type)
+      : movie.media;
+
+    res.status(200).json({
+      success: true,
+      count: media.length,
+      data: media
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload a poster, backdrop or still
+// @route   POST /api/movies/:id/media
+// @access  Private
+const uploadMedia = async (req, res, next) => {
+  const files = [];
+
+  try {
+    const movie = await findEditableMovie(req, res);
+    if (!movie) return;
+
+    const { variants, placeholder, width, height } = await createMediaVariants(req.file.buffer);
+
+    const version = crypto.randomBytes(6).toString('hex');
+    const urls = {};
+
+    for (const [size, buffer] of Object.entries(variants)) {
+      const key = `movies/${movie.id}/${req.body.type}-${version}-${size}.webp`;
+      urls[size] = await saveFile(key, buffer, 'image/webp');
+      files.push(key);
+    }
+
+    const item = movie.media.create({
+      type: req.body.type,
+      url: urls.large,
+      variants: urls,
+      placeholder,
+      width,
+      height,
+      caption: req.body.caption,
+      files,
+      uploadedBy: req.user.id
+    });
+    movie.media.push(item);
+
+    // The first upload of a type becomes its primary image
+    const hasPrimary = movie.media.some(m => m.type === item.type && m.isPrimary);
+    if (req.body.isPrimary || !hasPrimary) {
+      setPrimary(movie, item);
+    }
+
+    movie.updatedBy = req.user.id;
+    await movie.save();
+
+    res.status(201).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind when the movie could not be saved
+    await removeFiles(files);
+    next(error);
+  }
+};
+
+// @desc    Update caption or primary flag of a media item
+// @route   PUT /api/movies/:id/media/:mediaId
+// @access  Private
+const updateMedia = async (req, res, next) => {
+  try {
+    const movie = await findEditableMovie(req, res);
+    if (!movie) return;
+
+    const item = movie.media.id(req.params.mediaId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    if (req.body.caption !== undefined) {
+      item.caption = req.body.caption;
+    }
+
+    if (req.body.isPrimary === true) {
+      setPrimary(movie, item);
+    } else if (req.body.isPrimary === false) {
+      item.isPrimary = false;
+    }
+
+    movie.updatedBy = req.user.id;
+    await movie.save();
+
+    res.status(200).json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a media item and its files
+// @route   DELETE /api/movies/:id/media/:mediaId
+// @access  Private
+const deleteMedia = async (req, res, next) => {
+  try {
+    const movie = await findEditableMovie(req, res);
+    if (!movie) return;
+
+    const item = movie.media.id(req.params.mediaId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    const { type, isPrimary, files, url } = item;
+    const isCurrentPoster = type === 'poster' && movie.posterUrl === url;
+
+    // The primary image, or the newest remaining image of the same type
+    const replacement = movie.media
+      .filter(m => m.type === type && !m._id.equals(item._id))
+      .sort((a, b) => (b.isPrimary - a.isPrimary) || (b.createdAt - a.createdAt))[0];
+
+    // posterUrl is required, so the poster in use can only be deleted when
+    // another poster can take its place
+    if (isCurrentPoster && !replacement) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload another poster before deleting the only poster of this movie'
+      });
+    }
+
+    item.deleteOne();
+
+    if ((isPrimary || isCurrentPoster) && replacement) {
+      setPrimary(movie, replacement);
+    }
+
+    movie.updatedBy = req.user.id;
+    await movie.save();
+
+    await removeFiles(files);
+
+    res.status(200).json({
+      success: true,
+      message: 'Media deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load the movie and check the user may edit it. Sends the error response and
+// returns null when the movie is missing or the user is not allowed.
+const findEditableMovie = async (req, res) => {
+  const movie = await Movie.findById(req.params.id);
+
+  if (!movie) {
+    res.status(404).json({
+      success: false,
+      message: 'Movie not found'
+    });
+    return null;
+  }
+
+  if (!req.user.can('movie:update', movie.createdBy)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this movie'
+    });
+    return null;
+  }
+
+  return movie;
+};
+
+// Make an item the only primary image of its type. The primary poster
+// is also the movie's posterUrl.
+const setPrimary = (movie, item) => {
+  movie.media.forEach(m => {
+    if (m.type === item.type) {
+      m.isPrimary = m._id.equals(item._id);
+    }
+  });
+
+  if (item.type === 'poster') {
+    movie.posterUrl = item.url;
+  }
+};
+
+module.exports = {
+  getMedia,
+  uploadMedia,
+  updateMedia,
+  deleteMedia
+};
@@ -1,93 +1,32 @@
 const Movie = require('../models/Movie');
+const Review = require('../models/Review');
+const SavedMovie = require('../models/SavedMovie');
+const List = require('../models/List');
+const DiaryEntry = require('../models/DiaryEntry');
+const Recommendation = require('../models/Recommendation');
+const findMovies = require('../utils/findMovies');
+const {
+  SIMILARITY_FIELDS,
+  getWeights,
+  scoreSimilarity,
+  findSimilarCandidates
+} = require('../utils/movieSimilarity');
+const { loadRecommendations, getKnownMovieIds } = require('../utils/recommendations');
+const { removeFiles } = require('../utils/storage');
 
 // @desc    Get all movies
 // @route   GET /api/movies
 // @access  Public
 const getMovies = async (req, res, next) => {
   try {
-    let query = Movie.find();
-
-    // Copy req.query
-    const reqQuery = { ...req.query };
-
-    // Fields to exclude from filtering
-    const removeFields = ['select', 'sort', 'page', 'limit', 'search'];
-
-    // Loop over removeFields and delete them from reqQuery
-    removeFields.forEach(param => delete reqQuery[param]);
-
-    // Create query string
-    let queryStr = JSON.stringify(reqQuery);
-
-    // Create operators ($gt, $gte, etc)
-    queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
-
-    // Finding resource
-    query = Movie.find(JSON.parse(queryStr));
-
-    // Search functionality
-    if (req.query.search) {
-      query = query.find({
-        $or: [
-          { title: { $regex: req.query.search, $options: 'i' } },
-          { description: { $regex: req.query.search, $options: 'i' } },
-          { director: { $regex: req.query.search, $options: 'i' } }
-        ]
-      });
-    }
-
-    // Select Fields
-    if (req.query.select) {
-      const fields = req.query.select.split(',').join(' ');
-      query = query.select(fields);
-    }
-
-    // Sort
-    if (req.query.sort) {
-      const sortBy = req.query.sort.split(',').join(' ');
-      query = query.sort(sortBy);
-    } else {
-      query = query.sort('-createdAt');
-    }
-
-    // Pagination
-    const page = parseInt(req.query.page, 10) || 1;
-    const limit = parseInt(req.query.limit, 10) || 10;
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const total = await Movie.countDocuments(JSON.parse(queryStr));
-
-    query = query.skip(startIndex).limit(limit);
-
-    // Populate createdBy and updatedBy
-    query = query.populate('createdBy', 'name email').populate('updatedBy', 'name email');
-
-    // Executing query
-    const movies = await query;
-
-    // Pagination result
-    const pagination = {};
-
-    if (endIndex < total) {
-      pagination.next = {
-        page: page + 1,
-        limit
-      };
-    }
-
-    if (startIndex > 0) {
-      pagination.prev = {
-        page: page - 1,
-        limit
-      };
-    }
+    const { movies, total, pagination } = await findMovies(req.query);
 
     res.status(200).json({
       success: true,
       count: movies.length,
       total,
       pagination,
-      data: movies
+      data: req.user ? await SavedMovie.annotate(movies, req.user._id) : movies
     });
   } catch (error) {
     next(error);
@@ -110,9 +49,106 @@ const getMovie = async (req, res, next) => {
       });
     }
 
+    // Signed-in callers also see whether the movie is on their lists
+    const [data] = req.user ? await SavedMovie.annotate([movie], req.user._id) : [movie];
+
     res.status(200).json({
       success: true,
-      data: movie
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Most candidates scored when looking for similar movies
+const SIMILAR_CANDIDATE_LIMIT = 500;
+
+// @desc    Get movies similar to a movie
+// @route   GET /api/movies/:id/similar
+// @access  Public
+const getSimilarMovies = async (req, res, next) => {
+  try {
+    const movie = await Movie.findById(req.params.id).select(SIMILARITY_FIELDS);
+
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    const minScore = parseFloat(req.query.minScore) || 0;
+    const weights = getWeights(req.query.weights);
+
+    // Only movies sharing the director, a cast member, a genre or the
+    // language are scored, the director and cast matches first
+    const candidates = await findSimilarCandidates(movie, SIMILAR_CANDIDATE_LIMIT);
+
+    const matches = candidates
+      .map(candidate => ({ id: candidate._id, ...scoreSimilarity(movie, candidate, weights) }))
+      .filter(match => match.score > 0 && match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    const movies = await Movie.find({ _id: { $in: matches.map(match => match.id) } })
+      .populate('createdBy', 'name email');
+
+    const data = matches.map(({ id, score, breakdown, reasons }) => ({
+      movie: movies.find(item => item._id.equals(id)),
+      score,
+      breakdown,
+      reasons
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      weights,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get movie recommendations for the current user
+// @route   GET /api/movies/recommendations
+// @access  Private
+const getRecommendations = async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    const recommendation = await loadRecommendations(req.user, {
+      refresh: req.query.refresh === true
+    });
+
+    // Movies rated, watched or saved since the recommendations were computed
+    // are left out until the next computation
+    const known = await getKnownMovieIds(req.user._id);
+    const items = recommendation.items.filter(item => !known.has(item.movie.toString()));
+
+    const movies = await Movie.find({
+      _id: { $in: items.map(item => item.movie) },
+      status: { $nin: Movie.INACTIVE_STATUSES }
+    }).populate('createdBy', 'name email');
+
+    const data = items
+      .map(item => ({
+        movie: movies.find(movie => movie._id.equals(item.movie)),
+        score: item.score,
+        reasons: item.reasons
+      }))
+      .filter(item => item.movie)
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      strategy: recommendation.strategy,
+      computedAt: recommendation.computedAt,
+      data
     });
   } catch (error) {
     next(error);
@@ -127,6 +163,12 @@ const createMovie = async (req, res, next) => {
     // Add user to req.body
     req.body.createdBy = req.user.id;
 
+    // Media is managed through /api/movies/:id/media and the community
+    // score is calculated from reviews
+    delete req.body.media;
+    delete req.body.communityScore;
+    delete req.body.communityVotes;
+
     const movie = await Movie.create(req.body);
 
     // Populate the created movie
@@ -156,9 +198,9 @@ const updateMovie = async (req, res, next) => {
       });
     }
 
-    // Make sure user is movie owner or admin
-    if (movie.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({
+    // Make sure user owns the movie or may update any movie
+    if (!req.user.can('movie:update', movie.createdBy)) {
+      return res.status(403).json({
         success: false,
         message: 'Not authorized to update this movie'
       });
@@ -166,6 +208,9 @@ const updateMovie = async (req, res, next) => {
 
     // Add updatedBy to req.body
     req.body.updatedBy = req.user.id;
+    delete req.body.media;
+    delete req.body.communityScore;
+    delete req.body.communityVotes;
 
     movie = await Movie.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
@@ -195,15 +240,34 @@ const deleteMovie = async (req, res, next) => {
       });
     }
 
-    // Make sure user is movie owner or admin
-    if (movie.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-      return res.status(401).json({
+    // Make sure user owns the movie or may delete any movie
+    if (!req.user.can('movie:delete', movie.createdBy)) {
+      return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this movie'
       });
     }
 
     await movie.deleteOne();
+    await Review.deleteMany({ movie: movie._id });
+    await SavedMovie.deleteMany({ movie: movie._id });
+    // Diary entries belong to the users who logged them and are kept
+    await DiaryEntry.updateMany(
+      { movie: movie._id },
+      { removedMovieTitle: movie.title },
+      { timestamps: false }
+    );
+    await Recommendation.updateMany(
+      { 'items.movie': movie._id },
+      { $pull: { items: { movie: movie._id } } }
+    );
+    await List.updateMany(
+      { 'entries.movie': movie._id },
+      { $pull: { entries: { movie: movie._id } } }
+    );
+
+    // Remove uploaded artwork along with the movie
+    await removeFiles(movie.media.flatMap(item => item.files));
 
     res.status(200).json({
       success: true,
@@ -350,6 +414,8 @@ const getMovieStats = async (req, res, next) => {
 module.exports = {
   getMovies,
   getMovie,
+  getSimilarMovies,
+  getRecommendations,
   createMovie,
   updateMovie,
   deleteMovie,
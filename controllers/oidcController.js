@@ -0,0 +1,209 @@
+const User = require('../models/User');
+const OidcRequest = require('../models/OidcRequest');
+const Invitation = require('../models/Invitation');
+const oidc = require('../utils/oidc');
+const sendTokenResponse = require('../utils/sendTokenResponse');
+const sendLockedResponse = require('../utils/sendLockedResponse');
+const { generateToken, hashToken } = require('../utils/tokens');
+const {
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  verifyOidcState
+} = require('../utils/authCookies');
+
+// @desc    Start OIDC sign-in at the identity provider
+// @route   GET /api/auth/oidc/login
+// @access  Public
+const oidcLogin = async (req, res, next) => {
+  try {
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { state, nonce, codeVerifier, codeChallenge } = oidc.createAuthRequest();
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
+
+    await OidcRequest.create({
+      stateHash: hashToken(state),
+      nonce,
+      codeVerifier,
+      expiresAt
+    });
+
+    const authorizationUrl = await oidc.getAuthorizationUrl({ state, nonce, codeChallenge });
+
+    setOidcStateCookie(res, state, expiresAt);
+
+    // API clients can ask for the URL instead of being redirected
+    if (req.query.mode === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: { authorizationUrl }
+      });
+    }
+
+    res.redirect(302, authorizationUrl);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish OIDC sign-in and issue our own tokens
+// @route   GET /api/auth/oidc/callback
+// @access  Public
+const oidcCallback = async (req, res, next) => {
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    // The state cookie is single use whatever the outcome
+    const stateMatches = verifyOidcState(req, state);
+    clearOidcStateCookie(res);
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: `Sign-in was not completed: ${errorDescription || error}`
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing authorization code or state'
+      });
+    }
+
+    // The sign-in must finish in the browser that started it
+    if (!stateMatches) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in was started in another browser, please try again'
+      });
+    }
+
+    // Each state can only be used once
+    const authRequest = await OidcRequest.findOneAndDelete({
+      stateHash: hashToken(state),
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!authRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in request, please try again'
+      });
+    }
+
+    const tokens = await oidc.exchangeCode(code, authRequest.codeVerifier);
+    const claims = await oidc.verifyIdToken(tokens.id_token, authRequest.nonce);
+
+    const user = await findOrCreateUser(claims);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your identity provider did not supply a verified email address'
+      });
+    }
+
+    // Signing in through the identity provider passes the same gates as a
+    // password login: locked and deactivated accounts are refused
+    if (user.isLocked()) {
+      return sendLockedResponse(user, res);
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    // Accounts with 2FA must complete POST /api/auth/login/2fa before getting tokens
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken()
+      });
+    }
+
+    await user.updateLastLogin();
+
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Helper function to resolve the local user for an external identity.
+// Links by verified email the first time, creating the account if needed.
+const findOrCreateUser = async (claims) => {
+  const { issuer } = oidc.getSettings();
+  const identity = { provider: issuer, subject: String(claims.sub) };
+
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: identity }
+  });
+
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    return null;
+  }
+
+  const email = claims.email.toLowerCase();
+
+  if (User.isReservedEmail(email)) {
+    const error = new Error('This email address is reserved');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  let user = await User.findOne({ email });
+
+  if (user) {
+    user.identities.push(identity);
+    user.emailVerified = true;
+    await user.save({ validateBeforeSave: false });
+    return user;
+  }
+
+  // In invite-only mode new accounts need a pending invitation for the address
+  let invitation;
+  if (process.env.INVITE_ONLY_REGISTRATION === 'true') {
+    invitation = await Invitation.claim({ email });
+
+    if (!invitation) {
+      const error = new Error('Registration is by invitation only');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  // Local password is random; the user can set one via forgot password
+  user = await User.create({
+    name: (claims.name || email.split('@')[0]).slice(0, 50),
+    email,
+    password: `${generateToken(24)}Aa1`,
+    emailVerified: true,
+    identities: [identity],
+    ...(invitation && { role: invitation.role })
+  });
+
+  if (invitation) {
+    await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user._id });
+  }
+
+  return user;
+};
+
+module.exports = {
+  oidcLogin,
+  oidcCallback
+};
@@ -0,0 +1,208 @@
+const Movie = require('../models/Movie');
+const Review = require('../models/Review');
+
+// Fields reviews can be sorted by
+const REVIEW_SORT_FIELDS = ['rating', 'createdAt', 'updatedAt'];
+
+// @desc    Get reviews of a movie
+// @route   GET /api/movies/:id/reviews
+// @access  Public
+const getReviews = async (req, res, next) => {
+  try {
+    const movie = await Movie.findById(req.params.id).select('communityScore communityVotes');
+
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie not found'
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { movie: movie._id };
+
+    if (req.query.minRating !== undefined || req.query.maxRating !== undefined) {
+      filter.rating = {};
+      if (req.query.minRating !== undefined) filter.rating.$gte = Number(req.query.minRating);
+      if (req.query.maxRating !== undefined) filter.rating.$lte = Number(req.query.maxRating);
+    }
+
+    // Only whitelisted fields can be sorted on
+    const sort = (req.query.sort || '-createdAt')
+      .split(',')
+      .filter(field => REVIEW_SORT_FIELDS.includes(field.replace(/^-/, '')))
+      .join(' ') || '-createdAt';
+
+    const reviews = await Review.find(filter)
+      .populate('user', 'name avatar')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Review.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      total,
+      communityScore: movie.communityScore,
+      communityVotes: movie.communityVotes,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      data: reviews
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single review
+// @route   GET /api/movies/:id/reviews/:reviewId
+// @access  Public
+const getReview = async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, movie: req.params.id })
+      .populate('user', 'name avatar');
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Review a movie
+// @route   POST /api/movies/:id/reviews
+// @access  Private
+const createReview = async (req, res, next) => {
+  try {
+    const movie = await Movie.findById(req.params.id);
+
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie not found'
+      });
+    }
+
+    const existingReview = await Review.findOne({ movie: movie._id, user: req.user.id });
+
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this movie',
+        data: { reviewId: existingReview._id }
+      });
+    }
+
+    const review = await Review.create({
+      movie: movie._id,
+      user: req.user.id,
+      rating: req.body.rating,
+      title: req.body.title,
+      text: req.body.text
+    });
+
+    res.status(201).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update own review
+// @route   PUT /api/movies/:id/reviews/:reviewId
+// @access  Private
+const updateReview = async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, movie: req.params.id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    // Reviews are the author's opinion - only they can edit them
+    if (!req.user.can('review:update', review.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this review'
+      });
+    }
+
+    ['rating', 'title', 'text'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+
+    await review.save();
+
+    res.status(200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete review
+// @route   DELETE /api/movies/:id/reviews/:reviewId
+// @access  Private
+const deleteReview = async (req, res, next) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, movie: req.params.id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    // Make sure user wrote the review or may delete any review
+    if (!req.user.can('review:delete', review.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this review'
+      });
+    }
+
+    await review.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getReviews,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview
+};
@@ -0,0 +1,94 @@
+const Movie = require('../models/Movie');
+const SavedMovie = require('../models/SavedMovie');
+const findMovies = require('../utils/findMovies');
+
+// @desc    Get movies on the user's watchlist or favorites
+// @route   GET /api/movies/watchlist
+// @route   GET /api/movies/favorites
+// @access  Private
+const getSavedMovies = async (req, res, next) => {
+  try {
+    const movieIds = await SavedMovie.getMovieIds(req.user._id, req.params.list);
+
+    // Same filtering, sorting and pagination as GET /api/movies,
+    // restricted to the movies on the list
+    const { movies, total, pagination } = await findMovies(req.query, {
+      _id: { $in: movieIds }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: movies.length,
+      total,
+      pagination,
+      data: await SavedMovie.annotate(movies, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a movie to the user's watchlist or favorites
+// @route   PUT /api/movies/:id/watchlist
+// @route   PUT /api/movies/:id/favorites
+// @access  Private
+const addSavedMovie = async (req, res, next) => {
+  try {
+    const movie = await Movie.findById(req.params.id).select('_id');
+
+    if (!movie) {
+      return res.status(404).json({
+        success: false,
+        message: 'Movie not found'
+      });
+    }
+
+    // Adding a movie that is already on the list is a no-op
+    const entry = await SavedMovie.findOneAndUpdate(
+      { user: req.user._id, movie: movie._id, list: req.params.list },
+      {},
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a movie from the user's watchlist or favorites
+// @route   DELETE /api/movies/:id/watchlist
+// @route   DELETE /api/movies/:id/favorites
+// @access  Private
+const removeSavedMovie = async (req, res, next) => {
+  try {
+    const entry = await SavedMovie.findOneAndDelete({
+      user: req.user._id,
+      movie: req.params.id,
+      list: req.params.list
+    });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: `Movie is not in your ${req.params.list}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Movie removed from your ${req.params.list}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSavedMovies,
+  addSavedMovie,
+  removeSavedMovie
+};
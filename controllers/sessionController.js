@@ -0,0 +1,157 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Helper function to shape a session for API output
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.equals(currentSessionId)
+});
+
+// @desc    Get current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => formatSession(session, req.authSession && req.authSession._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeMySession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session || !session.isValid()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked-by-user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all of the current user's other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'revoked-by-user', req.authSession && req.authSession._id);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} other session(s) revoked`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a user's active sessions (Admin only)
+// @route   GET /api/auth/users/:id/sessions
+// @access  Private/Admin
+const getUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await Session.findActiveForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => formatSession(session, req.authSession && req.authSession._id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke one session of a user (Admin only)
+// @route   DELETE /api/auth/users/:id/sessions/:sessionId
+// @access  Private/Admin
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.params.id });
+
+    if (!session || !session.isValid()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked-by-admin');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all sessions of a user (Admin only)
+// @route   DELETE /api/auth/users/:id/sessions
+// @access  Private/Admin
+const revokeUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, 'revoked-by-admin');
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} session(s) revoked`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions
+};
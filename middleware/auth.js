@@ -1,51 +1,228 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Impersonation = require('../models/Impersonation');
+const { ACCESS_COOKIE, verifyCsrfToken, isStateChanging } = require('../utils/authCookies');
+
+// Authenticate the request with an API key, bearer token or auth cookie.
+// Calls next() when authenticated, otherwise reject(status, message).
+const authenticate = async (req, res, next, reject) => {
+  // Service-to-service calls authenticate with an API key instead of a JWT
+  if (req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next, reject);
+  }
 
-// Protect routes - authenticate user
-const protect = async (req, res, next) => {
   let token;
+  let fromCookie = false;
 
-  // Check for token in headers
+  // Check for token in headers, then in the cookie set for browser clients
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies && req.cookies[ACCESS_COOKIE]) {
+    token = req.cookies[ACCESS_COOKIE];
+    fromCookie = true;
   }
 
   // Make sure token exists
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: 'Not authorized to access this route'
-    });
+    return reject(401, 'Not authorized to access this route');
   }
 
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Impersonation tokens point at an audit record instead of a session
+    // and are only accepted as bearer tokens
+    if (decoded.imp && !fromCookie) {
+      return await authenticateImpersonation(decoded, req, res, next, reject);
+    }
+
+    // Access tokens are tied to a server-side session that can be revoked
+    const session = decoded.sid && await Session.findById(decoded.sid);
+
+    if (!session || !session.isValid() || session.user.toString() !== decoded.id) {
+      return reject(401, 'Session has expired or been revoked');
+    }
+
+    // Browsers send cookies automatically, so cookie-authenticated
+    // state-changing requests must prove they came from our frontend
+    if (fromCookie && isStateChanging(req) && !verifyCsrfToken(req, session._id)) {
+      return reject(403, 'Invalid or missing CSRF token');
+    }
+
+    req.authSession = session;
+    await session.touch(req);
+
     // Get user from token
     req.user = await User.findById(decoded.id);
 
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
+      return reject(401, 'User not found');
     }
 
     if (!req.user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'User account is deactivated'
-      });
+      return reject(401, 'User account is deactivated');
+    }
+
+    // Tokens issued before a password change or admin update are no longer valid
+    if ((decoded.tv || 0) !== req.user.tokenVersion) {
+      return reject(401, 'Token is no longer valid, please log in again');
+    }
+
+    // Not impersonating - the real and effective user are the same
+    req.realUser = req.user;
+
+    next();
+  } catch (error) {
+    return reject(401, 'Not authorized to access this route');
+  }
+};
+
+// Protect routes - authenticate user
+const protect = (req, res, next) => authenticate(req, res, next, (status, message) =>
+  res.status(status).json({
+    success: false,
+    message
+  })
+);
+
+// Authenticate the request when credentials are sent, but let anonymous
+// requests through. Used on public routes that personalise their response.
+// Expired or revoked credentials are treated as no credentials at all.
+const optionalAuth = (req, res, next) => {
+  const hasCredentials = req.headers['x-api-key'] ||
+    (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) ||
+    (req.cookies && req.cookies[ACCESS_COOKIE]);
+
+  if (!hasCredentials) {
+    return next();
+  }
+
+  return authenticate(req, res, next, () => {
+    req.user = undefined;
+    req.realUser = undefined;
+    req.authSession = undefined;
+    req.apiKey = undefined;
+    req.impersonation = undefined;
+    next();
+  });
+};
+
+// Authenticate a request made with an impersonation token. req.user is the
+// impersonated (effective) user and req.realUser the admin behind the request.
+const authenticateImpersonation = async (decoded, req, res, next, reject) => {
+  const impersonation = await Impersonation.findById(decoded.imp);
+
+  if (!impersonation || !impersonation.isActive() || impersonation.user.toString() !== decoded.id) {
+    return reject(401, 'Impersonation session has ended');
+  }
+
+  const [user, admin] = await Promise.all([
+    User.findById(impersonation.user),
+    User.findById(impersonation.admin)
+  ]);
+
+  // The admin must still be allowed to impersonate, with unchanged credentials
+  if (!admin || !admin.isActive || !admin.hasPermission('user:impersonate') ||
+    (decoded.atv || 0) !== admin.tokenVersion) {
+    return reject(401, 'Impersonation is no longer authorized');
+  }
+
+  if (!user || !user.isActive || (decoded.tv || 0) !== user.tokenVersion) {
+    return reject(401, 'Impersonated user is no longer available');
+  }
+
+  req.user = user;
+  req.realUser = admin;
+  req.impersonation = impersonation;
+
+  // Record every request in the audit trail once the response is sent
+  res.on('finish', () => {
+    impersonation.recordAction(req, res.statusCode).catch(err => {
+      console.error('Impersonation action could not be recorded:', err.message);
+    });
+  });
+
+  next();
+};
+
+// Authenticate a request made with an X-API-Key header
+const authenticateApiKey = async (req, res, next, reject) => {
+  try {
+    const apiKey = await ApiKey.findByKey(req.headers['x-api-key']);
+
+    if (!apiKey || !apiKey.isValid()) {
+      return reject(401, 'Invalid, expired or revoked API key');
+    }
+
+    req.user = await User.findById(apiKey.user);
+
+    if (!req.user || !req.user.isActive) {
+      return reject(401, 'API key owner not found or deactivated');
     }
 
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+
+    req.apiKey = apiKey;
+    req.realUser = req.user;
     next();
   } catch (error) {
-    return res.status(401).json({
+    return reject(401, 'Not authorized to access this route');
+  }
+};
+
+// Require a scope when the request is authenticated with an API key.
+// Requests authenticated with a user JWT are not restricted by scopes.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the required scope: ${scope}`
+      });
+    }
+    next();
+  };
+};
+
+// Reject API keys on routes meant only for interactive users
+const rejectApiKey = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this route'
+    });
+  }
+  next();
+};
+
+// Sensitive actions must be taken by the account owner, never by an admin impersonating them
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({
       success: false,
-      message: 'Not authorized to access this route'
+      message: 'This action is not allowed while impersonating a user'
     });
   }
+  next();
+};
+
+// Admins must enroll in 2FA before using privileged routes when REQUIRE_ADMIN_2FA is set
+const sendTwoFactorRequired = (req, res) => {
+  if (req.user.role === 'admin' && !req.apiKey &&
+    process.env.REQUIRE_ADMIN_2FA === 'true' && !req.user.twoFactorEnabled) {
+    res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication must be enabled for admin accounts. Enroll via /api/auth/2fa/setup'
+    });
+    return true;
+  }
+  return false;
 };
 
 // Grant access to specific roles
@@ -57,8 +234,51 @@ const authorize = (...roles) => {
         message: `User role ${req.user.role} is not authorized to access this route`
       });
     }
+
+    if (sendTwoFactorRequired(req, res)) {
+      return;
+    }
+
+    next();
+  };
+};
+
+// Grant access to users whose role has any of the given permissions
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!permissions.some(permission => req.user.hasPermission(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `User role ${req.user.role} is not authorized to access this route`
+      });
+    }
+
+    if (sendTwoFactorRequired(req, res)) {
+      return;
+    }
+
     next();
   };
 };
 
-module.exports = { protect, authorize };
+// Require a verified email address when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to perform this action'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  authorize,
+  requirePermission,
+  requireScope,
+  rejectApiKey,
+  blockImpersonation,
+  requireVerifiedEmail
+};
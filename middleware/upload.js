@@ -0,0 +1,44 @@
+const multer = require('multer');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Keep uploads in memory - they are processed and handed to the storage driver
+const imageUpload = (maxSizeMb) => multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxSizeMb * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG, WebP and GIF images are allowed');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Single avatar image in the "avatar" field
+const avatarUpload = imageUpload(parseInt(process.env.AVATAR_MAX_SIZE_MB) || 5).single('avatar');
+
+// Single movie artwork image in the "file" field
+const mediaUpload = imageUpload(parseInt(process.env.MEDIA_MAX_SIZE_MB) || 10).single('file');
+
+// Make sure a file was actually sent
+const requireFile = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload an image file'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  imageUpload,
+  avatarUpload,
+  mediaUpload,
+  requireFile
+};
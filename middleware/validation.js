@@ -1,4 +1,9 @@
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const Movie = require('../models/Movie');
+const List = require('../models/List');
+const { ROLES } = require('../config/roles');
+const { getRules: getPasswordRules } = require('../utils/passwordPolicy');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -13,6 +18,28 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Check a password field against the password policy. Every failed rule is
+// reported as its own error. The chain is built on each request so policy
+// changes in the environment apply without a restart.
+const passwordPolicy = (field) => async (req, res, next) => {
+  try {
+    await getPasswordRules().reduce(
+      (chain, rule) => chain.custom(value => rule.test(value)).withMessage(rule.message),
+      body(field)
+        .exists({ values: 'falsy' })
+        .withMessage('Password is required')
+        .bail()
+        .isString()
+        .withMessage('Password must be a string')
+        .bail()
+    ).run(req);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // User validation rules
 const validateUserRegistration = [
   body('name')
@@ -23,11 +50,7 @@ const validateUserRegistration = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordPolicy('password'),
   handleValidationErrors
 ];
 
@@ -42,6 +65,27 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+const validateResetPassword = [
+  passwordPolicy('password'),
+  handleValidationErrors
+];
+
+const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordPolicy('newPassword'),
+  handleValidationErrors
+];
+
 const validateUserUpdate = [
   body('name')
     .optional()
@@ -62,6 +106,131 @@ const validateUserUpdate = [
     .optional()
     .isLength({ max: 500 })
     .withMessage('Bio cannot be more than 500 characters'),
+  body('favoriteGenres')
+    .optional()
+    .isArray({ max: Movie.GENRES.length })
+    .withMessage('Favorite genres must be an array of genres'),
+  body('favoriteGenres.*')
+    .isIn(Movie.GENRES)
+    .withMessage(`Genre must be one of: ${Movie.GENRES.join(', ')}`),
+  handleValidationErrors
+];
+
+const validateRoleAssignment = [
+  body('role')
+    .isIn(Object.keys(ROLES))
+    .withMessage(`Role must be one of: ${Object.keys(ROLES).join(', ')}`),
+  handleValidationErrors
+];
+
+const validateUserQuery = [
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be a single value')
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be more than 100 characters'),
+  query('role')
+    .optional()
+    .custom(value => value.split(',').every(role => Object.keys(ROLES).includes(role)))
+    .withMessage(`Role must be one of: ${Object.keys(ROLES).join(', ')}`),
+  query(['isActive', 'emailVerified'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Must be true or false'),
+  query(['lastLoginFrom', 'lastLoginTo', 'createdFrom', 'createdTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  handleValidationErrors
+];
+
+const validateBulkUserAction = [
+  body('action')
+    .isIn(['deactivate', 'reactivate', 'role'])
+    .withMessage('Action must be one of: deactivate, reactivate, role'),
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Please provide between 1 and 100 user IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each ID must be a valid user ID'),
+  body('role')
+    .if(body('action').equals('role'))
+    .isIn(Object.keys(ROLES))
+    .withMessage(`Role must be one of: ${Object.keys(ROLES).join(', ')}`),
+  handleValidationErrors
+];
+
+const validateUserDeletion = [
+  query('mode')
+    .optional()
+    .isIn(['soft', 'hard'])
+    .withMessage('Mode must be soft or hard'),
+  query('movieAction')
+    .if(query('mode').equals('hard'))
+    .isIn(['reassign', 'archive'])
+    .withMessage('A hard delete requires movieAction: reassign or archive'),
+  query('reassignTo')
+    .if(query('movieAction').equals('reassign'))
+    .isMongoId()
+    .withMessage('Please provide the ID of the user to reassign movies to'),
+  handleValidationErrors
+];
+
+// API key validation rules
+const validateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scope must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt()
+    .withMessage('Expiry must be between 1 and 365 days'),
+  handleValidationErrors
+];
+
+// Admins must say why they are impersonating a user
+const validateImpersonation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Please give a reason between 3 and 500 characters'),
+  handleValidationErrors
+];
+
+// Invitation validation rules
+const validateInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(Object.keys(ROLES))
+    .withMessage(`Role must be one of: ${Object.keys(ROLES).join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .toInt()
+    .withMessage('Expiry must be between 1 and 30 days'),
+  handleValidationErrors
+];
+
+const validateInvitationResend = [
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .toInt()
+    .withMessage('Expiry must be between 1 and 30 days'),
   handleValidationErrors
 ];
 
@@ -180,11 +349,319 @@ const validateMovieUpdate = [
   handleValidationErrors
 ];
 
+// Recommendations query rules
+const validateRecommendationQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('refresh')
+    .optional()
+    .isBoolean()
+    .withMessage('refresh must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Similar movies query rules
+const validateSimilarQuery = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('minScore')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('minScore must be between 0 and 1'),
+  query('weights')
+    .optional()
+    .isObject()
+    .withMessage('Weights must be given as weights[feature]=value'),
+  query('weights.*')
+    .isFloat({ min: 0 })
+    .withMessage('Weights must be non-negative numbers'),
+  handleValidationErrors
+];
+
+// Review validation rules
+const validateReview = [
+  body('rating')
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Rating must be between 0 and 10'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Review title cannot be more than 100 characters'),
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Review cannot be more than 5000 characters'),
+  handleValidationErrors
+];
+
+const validateReviewUpdate = [
+  body('rating')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Rating must be between 0 and 10'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Review title cannot be more than 100 characters'),
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ max: 5000 })
+    .withMessage('Review cannot be more than 5000 characters'),
+  handleValidationErrors
+];
+
+// Movie media validation rules
+const validateMediaUpload = [
+  body('type')
+    .isIn(Movie.MEDIA_TYPES)
+    .withMessage(`Type must be one of: ${Movie.MEDIA_TYPES.join(', ')}`),
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot be more than 200 characters'),
+  body('isPrimary')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('isPrimary must be a boolean'),
+  handleValidationErrors
+];
+
+const validateMediaUpdate = [
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot be more than 200 characters'),
+  body('isPrimary')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('isPrimary must be a boolean'),
+  handleValidationErrors
+];
+
+// List validation rules
+const validateList = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('List title is required')
+    .isLength({ max: 100 })
+    .withMessage('List title cannot be more than 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('List description cannot be more than 1000 characters'),
+  body('visibility')
+    .optional()
+    .isIn(List.VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${List.VISIBILITIES.join(', ')}`),
+  handleValidationErrors
+];
+
+const validateListUpdate = [
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('List title cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('List title cannot be more than 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('List description cannot be more than 1000 characters'),
+  body('visibility')
+    .optional()
+    .isIn(List.VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${List.VISIBILITIES.join(', ')}`),
+  handleValidationErrors
+];
+
+// List browsing query rules
+const validateListQuery = [
+  query('search')
+    .optional()
+    .isString()
+    .withMessage('Search must be a single value')
+    .isLength({ max: 100 })
+    .withMessage('Search cannot be more than 100 characters'),
+  query('owner')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid owner ID'),
+  query('movie')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid movie ID'),
+  query(['page', 'limit'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page and limit must be positive integers'),
+  handleValidationErrors
+];
+
+const validateListEntry = [
+  body('movie')
+    .isMongoId()
+    .withMessage('Please provide a valid movie ID'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Position must be a non-negative integer'),
+  handleValidationErrors
+];
+
+const validateListEntryUpdate = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Position must be a non-negative integer'),
+  handleValidationErrors
+];
+
+const validateListOrder = [
+  body('movies')
+    .isArray()
+    .withMessage('movies must be an array of movie IDs'),
+  body('movies.*')
+    .isMongoId()
+    .withMessage('Please provide valid movie IDs'),
+  handleValidationErrors
+];
+
+// Watch diary validation rules
+const validateDiaryEntry = [
+  body('movie')
+    .isMongoId()
+    .withMessage('Please provide a valid movie ID'),
+  body('watchedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid watch date')
+    .toDate(),
+  body('rewatch')
+    .optional()
+    .isBoolean()
+    .withMessage('rewatch must be a boolean')
+    .toBoolean(),
+  body('rating')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Rating must be between 0 and 10'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters'),
+  handleValidationErrors
+];
+
+const validateDiaryEntryUpdate = [
+  body('watchedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid watch date')
+    .toDate(),
+  body('rewatch')
+    .optional()
+    .isBoolean()
+    .withMessage('rewatch must be a boolean')
+    .toBoolean(),
+  body('rating')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Rating must be between 0 and 10'),
+  body('note')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot be more than 1000 characters'),
+  handleValidationErrors
+];
+
+const validateDiaryQuery = [
+  query('year')
+    .optional()
+    .isInt({ min: 1888, max: 9999 })
+    .withMessage('Year must be a valid year')
+    .toInt(),
+  query('month')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12')
+    .bail()
+    .custom((value, { req }) => req.query.year !== undefined)
+    .withMessage('Month can only be used together with year')
+    .toInt(),
+  query('movie')
+    .optional()
+    .isMongoId()
+    .withMessage('Please provide a valid movie ID'),
+  query('rewatch')
+    .optional()
+    .isBoolean()
+    .withMessage('rewatch must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
   validateUserUpdate,
+  validateRoleAssignment,
+  validateUserQuery,
+  validateBulkUserAction,
+  validateUserDeletion,
+  validateApiKey,
+  validateInvitation,
+  validateInvitationResend,
+  validateImpersonation,
   validateMovie,
   validateMovieUpdate,
+  validateSimilarQuery,
+  validateRecommendationQuery,
+  validateMediaUpload,
+  validateMediaUpdate,
+  validateReview,
+  validateReviewUpdate,
+  validateList,
+  validateListUpdate,
+  validateListQuery,
+  validateListEntry,
+  validateListEntryUpdate,
+  validateListOrder,
+  validateDiaryEntry,
+  validateDiaryEntryUpdate,
+  validateDiaryQuery,
   handleValidationErrors
 };
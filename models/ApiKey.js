@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// Everything an API key can be allowed to do
+const SCOPES = ['movies:read', 'movies:write', 'stats:read'];
+
+// Scopes that need the matching role permission to be granted
+const ADMIN_SCOPES = ['stats:read'];
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the API key'],
+    trim: true,
+    maxlength: [100, 'API key name cannot be more than 100 characters']
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: SCOPES
+  }],
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user: 1 });
+
+// Check whether the key can still be used
+apiKeySchema.methods.isValid = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Check whether the key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Create a key and return it with the raw value, which is shown only once
+apiKeySchema.statics.issue = async function({ user, name, scopes, expiresAt }) {
+  const rawKey = `mk_${generateToken(24)}`;
+
+  const apiKey = await this.create({
+    user,
+    name,
+    scopes,
+    expiresAt,
+    prefix: rawKey.slice(0, 11),
+    keyHash: hashToken(rawKey)
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Find a key by its raw value
+apiKeySchema.statics.findByKey = function(rawKey) {
+  return this.findOne({ keyHash: hashToken(rawKey) });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = SCOPES;
+ApiKey.ADMIN_SCOPES = ADMIN_SCOPES;
+
+module.exports = ApiKey;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One viewing of a movie in a user's watch diary
+const diaryEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  movie: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  // Title of the movie, kept when the movie is deleted from the catalog
+  removedMovieTitle: {
+    type: String
+  },
+  watchedAt: {
+    type: Date,
+    required: [true, 'Please provide the date the movie was watched'],
+    validate: {
+      validator: value => value <= new Date(),
+      message: 'Watch date cannot be in the future'
+    }
+  },
+  rewatch: {
+    type: Boolean,
+    default: false
+  },
+  rating: {
+    type: Number,
+    min: [0, 'Rating cannot be less than 0'],
+    max: [10, 'Rating cannot be more than 10']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Note cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+diaryEntrySchema.index({ user: 1, watchedAt: -1 });
+diaryEntrySchema.index({ user: 1, movie: 1, watchedAt: 1 });
+diaryEntrySchema.index({ movie: 1 });
+
+// Date range covering a year, or one month of it (month is 1-12)
+diaryEntrySchema.statics.getPeriod = function(year, month) {
+  if (month) {
+    return {
+      $gte: new Date(Date.UTC(year, month - 1, 1)),
+      $lt: new Date(Date.UTC(year, month, 1))
+    };
+  }
+
+  return {
+    $gte: new Date(Date.UTC(year, 0, 1)),
+    $lt: new Date(Date.UTC(year + 1, 0, 1))
+  };
+};
+
+// Whether the user logged the movie before the given date
+diaryEntrySchema.statics.hasWatchedBefore = async function(userId, movieId, date) {
+  const earlier = await this.exists({
+    user: userId,
+    movie: movieId,
+    watchedAt: { $lt: date }
+  });
+  return Boolean(earlier);
+};
+
+module.exports = mongoose.model('DiaryEntry', diaryEntrySchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const ImpersonationAction = require('./ImpersonationAction');
+
+// Audit record of an admin acting as another user
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+// Check whether the impersonation token can still be used
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+// Stop the impersonation token from being used any further
+impersonationSchema.methods.end = async function() {
+  if (!this.endedAt) {
+    this.endedAt = new Date();
+    await this.save();
+  }
+};
+
+// Sign the access token used while impersonating. It carries no session or
+// refresh token and becomes invalid when either account's tokens are invalidated.
+impersonationSchema.methods.getSignedToken = function(user, admin) {
+  return jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      imp: this._id,
+      tv: user.tokenVersion,
+      atv: admin.tokenVersion,
+      exp: Math.floor(this.expiresAt.getTime() / 1000)
+    },
+    process.env.JWT_SECRET
+  );
+};
+
+// Append a request to the audit trail
+impersonationSchema.methods.recordAction = function(req, statusCode) {
+  return ImpersonationAction.create({
+    impersonation: this._id,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode,
+    ip: req.ip
+  });
+};
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
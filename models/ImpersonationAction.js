@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One request made with an impersonation token. Kept in its own collection
+// so the audit trail of a session is complete however many requests it made.
+const impersonationActionSchema = new mongoose.Schema({
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number
+  },
+  ip: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+impersonationActionSchema.index({ impersonation: 1, at: 1 });
+
+module.exports = mongoose.model('ImpersonationAction', impersonationActionSchema);
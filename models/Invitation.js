@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please provide an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+  // Role the account gets when the invitation is accepted
+  role: {
+    type: String,
+    enum: Object.keys(ROLES),
+    default: DEFAULT_ROLE
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.index({ email: 1 });
+
+// Query matching invitations that can still be accepted
+const pendingFilter = () => ({
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Give the invitation a new token and expiry. Returns the raw token,
+// which is only ever sent by email.
+invitationSchema.methods.renew = function(expiresInDays) {
+  const token = generateToken();
+
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Create an invitation, replacing any pending one for the same address
+invitationSchema.statics.issue = async function({ email, role, invitedBy, expiresInDays }) {
+  email = email.toLowerCase();
+
+  await this.updateMany(
+    { email, ...pendingFilter() },
+    { revokedAt: new Date() }
+  );
+
+  const invitation = new this({ email, role, invitedBy });
+  const token = invitation.renew(expiresInDays);
+  await invitation.save();
+
+  return { invitation, token };
+};
+
+// Find a pending invitation by its raw token
+invitationSchema.statics.findPendingByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), ...pendingFilter() });
+};
+
+// Atomically mark a pending invitation as used so it cannot be accepted twice.
+// Returns null if it was already accepted, revoked or has expired.
+invitationSchema.statics.claim = function(filter) {
+  return this.findOneAndUpdate(
+    { ...filter, ...pendingFilter() },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+Invitation.pendingFilter = pendingFilter;
+
+module.exports = Invitation;
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// public: browsable and visible to everyone
+// unlisted: only visible through its share link
+// private: only visible to its owner
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Upper bound on the number of movies in one list
+const MAX_ENTRIES = 500;
+
+const entrySchema = new mongoose.Schema({
+  movie: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user-curated, ordered list of movies. Entries are stored in list order.
+const listSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a list title'],
+    trim: true,
+    maxlength: [100, 'List title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'List description cannot be more than 1000 characters']
+  },
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'private'
+  },
+  entries: {
+    type: [entrySchema],
+    validate: {
+      validator: entries => entries.length <= MAX_ENTRIES,
+      message: `A list cannot have more than ${MAX_ENTRIES} movies`
+    }
+  },
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  likedBy: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  likeCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+listSchema.index({ owner: 1, createdAt: -1 });
+listSchema.index({ visibility: 1, likeCount: -1 });
+listSchema.index({ 'entries.movie': 1 });
+
+listSchema.virtual('movieCount').get(function() {
+  return this.entries ? this.entries.length : undefined;
+});
+
+// Whether the user may see the list without a share link
+listSchema.methods.isVisibleTo = function(user) {
+  return this.visibility === 'public' || this.isOwnedBy(user);
+};
+
+listSchema.methods.isOwnedBy = function(user) {
+  return Boolean(user) && this.owner.toString() === user._id.toString();
+};
+
+listSchema.methods.findEntry = function(movieId) {
+  return this.entries.find(entry => entry.movie.toString() === movieId.toString());
+};
+
+// Move an entry to a zero-based position, clamped to the list bounds
+listSchema.methods.moveEntry = function(entry, position) {
+  const entries = this.entries.filter(item => item !== entry);
+  const index = Math.max(0, Math.min(position, entries.length));
+  entries.splice(index, 0, entry);
+  this.entries = entries;
+};
+
+// Create a new share token, invalidating any previous share link
+listSchema.methods.createShareToken = function() {
+  this.shareToken = crypto.randomBytes(16).toString('hex');
+  return this.shareToken;
+};
+
+const List = mongoose.model('List', listSchema);
+
+List.VISIBILITIES = VISIBILITIES;
+List.MAX_ENTRIES = MAX_ENTRIES;
+
+module.exports = List;
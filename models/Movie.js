@@ -1,5 +1,60 @@
 const mongoose = require('mongoose');
 
+const MEDIA_TYPES = ['poster', 'backdrop', 'still'];
+
+const GENRES = [
+  'Action', 'Adventure', 'Animation', 'Biography', 'Comedy',
+  'Crime', 'Documentary', 'Drama', 'Family', 'Fantasy',
+  'History', 'Horror', 'Music', 'Mystery', 'Romance',
+  'Sci-Fi', 'Sport', 'Thriller', 'War', 'Western'
+];
+
+// Uploaded artwork. Each item keeps resized variants and a tiny blurred
+// placeholder that clients can show while the real image loads.
+const mediaSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: MEDIA_TYPES,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  variants: {
+    thumbnail: String,
+    medium: String,
+    large: String
+  },
+  placeholder: String,
+  width: Number,
+  height: Number,
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot be more than 200 characters']
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  // Storage keys of every file belonging to this item
+  files: [String],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    // Storage keys are internal; clients only get the public URLs
+    transform: (doc, ret) => {
+      delete ret.files;
+      return ret;
+    }
+  }
+});
+
 const movieSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -15,12 +70,7 @@ const movieSchema = new mongoose.Schema({
   genre: [{
     type: String,
     required: [true, 'Please provide at least one genre'],
-    enum: [
-      'Action', 'Adventure', 'Animation', 'Biography', 'Comedy', 
-      'Crime', 'Documentary', 'Drama', 'Family', 'Fantasy', 
-      'History', 'Horror', 'Music', 'Mystery', 'Romance', 
-      'Sci-Fi', 'Sport', 'Thriller', 'War', 'Western'
-    ]
+    enum: GENRES
   }],
   director: {
     type: String,
@@ -45,6 +95,16 @@ const movieSchema = new mongoose.Schema({
     min: [0, 'Rating cannot be less than 0'],
     max: [10, 'Rating cannot be more than 10']
   },
+  // Average of user review ratings, maintained by the Review model
+  communityScore: {
+    type: Number,
+    min: 0,
+    max: 10
+  },
+  communityVotes: {
+    type: Number,
+    default: 0
+  },
   duration: {
     type: Number,
     required: [true, 'Please provide movie duration in minutes'],
@@ -67,8 +127,9 @@ const movieSchema = new mongoose.Schema({
   posterUrl: {
     type: String,
     required: [true, 'Please provide poster URL'],
+    // External image URLs, or paths of posters stored by the upload driver
     match: [
-      /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i,
+      /^(https?:\/\/.+|\/\S+)\.(jpg|jpeg|png|gif|webp)$/i,
       'Please provide a valid image URL'
     ]
   },
@@ -97,9 +158,10 @@ const movieSchema = new mongoose.Schema({
     unique: true,
     sparse: true
   },
+  media: [mediaSchema],
   status: {
     type: String,
-    enum: ['active', 'inactive', 'coming-soon'],
+    enum: ['active', 'inactive', 'coming-soon', 'archived'],
     default: 'active'
   },
   createdBy: {
@@ -121,6 +183,7 @@ const movieSchema = new mongoose.Schema({
 movieSchema.index({ title: 'text', description: 'text' });
 movieSchema.index({ genre: 1 });
 movieSchema.index({ rating: -1 });
+movieSchema.index({ communityScore: -1 });
 movieSchema.index({ releaseDate: -1 });
 movieSchema.index({ createdBy: 1 });
 
@@ -134,10 +197,18 @@ movieSchema.virtual('movieAge').get(function() {
 
 // Pre-save middleware
 movieSchema.pre('save', function(next) {
-  if (this.isModified() && !this.isNew) {
+  if (this.isModified() && !this.isNew && !this.isModified('updatedBy')) {
     this.updatedBy = this.createdBy; // Will be overridden by controller
   }
   next();
 });
 
-module.exports = mongoose.model('Movie', movieSchema);
+const Movie = mongoose.model('Movie', movieSchema);
+
+Movie.MEDIA_TYPES = MEDIA_TYPES;
+Movie.GENRES = GENRES;
+
+// Statuses of movies that are no longer suggested to users
+Movie.INACTIVE_STATUSES = ['inactive', 'archived'];
+
+module.exports = Movie;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Pending OIDC sign-in, created when the user is sent to the identity
+// provider and consumed when they come back to the callback
+const oidcRequestSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned sign-ins are removed automatically
+oidcRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcRequest', oidcRequestSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// How the recommendations were produced:
+// personalized: from the user's ratings, watch history and favorites
+// favorite-genres: cold start from the user's declared favorite genres
+// popular: cold start without favorite genres
+const STRATEGIES = ['personalized', 'favorite-genres', 'popular'];
+
+const recommendedMovieSchema = new mongoose.Schema({
+  movie: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  score: Number,
+  // Score parts from similar users and from the user's taste in movies
+  collaborative: Number,
+  content: Number,
+  reasons: [String]
+}, { _id: false });
+
+// The latest computed recommendations of a user, best first
+const recommendationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  strategy: {
+    type: String,
+    enum: STRATEGIES,
+    required: true
+  },
+  items: [recommendedMovieSchema],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Whether the recommendations are older than the given number of hours
+recommendationSchema.methods.isStale = function(maxAgeHours) {
+  return Date.now() - this.computedAt.getTime() > maxAgeHours * 60 * 60 * 1000;
+};
+
+const Recommendation = mongoose.model('Recommendation', recommendationSchema);
+
+Recommendation.STRATEGIES = STRATEGIES;
+
+module.exports = Recommendation;
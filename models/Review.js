@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  movie: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [0, 'Rating cannot be less than 0'],
+    max: [10, 'Rating cannot be more than 10']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Review title cannot be more than 100 characters']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Review cannot be more than 5000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user per movie
+reviewSchema.index({ movie: 1, user: 1 }, { unique: true });
+reviewSchema.index({ movie: 1, createdAt: -1 });
+reviewSchema.index({ user: 1 });
+
+// Recalculate the community score and vote count stored on the movie
+reviewSchema.statics.updateCommunityScore = async function(movieId) {
+  const [result] = await this.aggregate([
+    { $match: { movie: new mongoose.Types.ObjectId(movieId) } },
+    {
+      $group: {
+        _id: '$movie',
+        avgRating: { $avg: '$rating' },
+        votes: { $sum: 1 }
+      }
+    }
+  ]);
+
+  await mongoose.model('Movie').updateOne(
+    { _id: movieId },
+    result
+      ? { communityScore: Math.round(result.avgRating * 10) / 10, communityVotes: result.votes }
+      : { $unset: { communityScore: 1 }, communityVotes: 0 }
+  );
+};
+
+// Keep the movie's community score in sync after every change
+reviewSchema.post('save', async function() {
+  await this.constructor.updateCommunityScore(this.movie);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await this.constructor.updateCommunityScore(this.movie);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Personal movie lists every user has
+const LISTS = ['watchlist', 'favorites'];
+
+// A movie a user put on their watchlist or favorites
+const savedMovieSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  movie: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: true
+  },
+  list: {
+    type: String,
+    enum: LISTS,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'addedAt', updatedAt: false }
+});
+
+savedMovieSchema.index({ user: 1, list: 1, movie: 1 }, { unique: true });
+savedMovieSchema.index({ movie: 1 });
+
+// IDs of the movies on one of the user's lists
+savedMovieSchema.statics.getMovieIds = function(userId, list) {
+  return this.distinct('movie', { user: userId, list });
+};
+
+// Add inWatchlist and isFavorite to movies for the given user.
+// Returns plain objects ready to be sent.
+savedMovieSchema.statics.annotate = async function(movies, userId) {
+  const entries = await this.find({
+    user: userId,
+    movie: { $in: movies.map(movie => movie._id) }
+  }).select('movie list').lean();
+
+  const has = (movie, list) => entries.some(entry =>
+    entry.list === list && entry.movie.equals(movie._id)
+  );
+
+  return movies.map(movie => ({
+    ...movie.toJSON(),
+    inWatchlist: has(movie, 'watchlist'),
+    isFavorite: has(movie, 'favorites')
+  }));
+};
+
+const SavedMovie = mongoose.model('SavedMovie', savedMovieSchema);
+
+SavedMovie.LISTS = LISTS;
+
+module.exports = SavedMovie;
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const { generateToken, hashToken } = require('../utils/tokens');
+const parseUserAgent = require('../utils/parseUserAgent');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the refresh token currently valid for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out - presenting one of
+  // these again means the token was stolen and the session is revoked
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  device: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse-detected', 'logout-all', 'password-change', 'account-update', 'revoked-by-user', 'revoked-by-admin']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+// Let MongoDB drop sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Check whether the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Record that the session was just used, at most once a minute
+sessionSchema.methods.touch = async function(req) {
+  if (this.lastSeenAt && Date.now() - this.lastSeenAt.getTime() < 60 * 1000) {
+    return;
+  }
+
+  this.lastSeenAt = new Date();
+  this.ip = req.ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, ip: this.ip }
+  );
+};
+
+// Replace the refresh token, remembering the old one for reuse detection.
+// The swap only happens while the session still holds the token it was
+// loaded with, so of two concurrent refreshes with the same token only one
+// wins. Returns null for the loser.
+sessionSchema.methods.rotateRefreshToken = async function(req) {
+  const refreshToken = generateToken(40);
+  const update = {
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    lastSeenAt: new Date()
+  };
+  if (req) {
+    update.ip = req.ip;
+  }
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      refreshTokenHash: this.refreshTokenHash,
+      revokedAt: { $exists: false }
+    },
+    {
+      $set: update,
+      $push: { previousTokenHashes: this.refreshTokenHash }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return null;
+  }
+
+  this.previousTokenHashes.push(this.refreshTokenHash);
+  Object.assign(this, update);
+
+  return refreshToken;
+};
+
+// Revoke the session so neither its access nor refresh tokens work
+sessionSchema.methods.revoke = async function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+// Start a new session for a user and return it with its raw refresh token
+sessionSchema.statics.start = async function(user, req) {
+  const refreshToken = generateToken(40);
+  const userAgent = req && req.get('user-agent');
+
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: getRefreshExpiry(),
+    device: parseUserAgent(userAgent),
+    userAgent,
+    ip: req && req.ip
+  });
+
+  return { session, refreshToken };
+};
+
+// Revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout-all', exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Active sessions of a user, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort('-lastSeenAt');
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
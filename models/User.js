@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { generateToken, hashToken } = require('../utils/tokens');
+const totp = require('../utils/totp');
+const { ROLES, DEFAULT_ROLE, hasPermission } = require('../config/roles');
+const { getPolicy: getPasswordPolicy } = require('../utils/passwordPolicy');
+const { GENRES } = require('./Movie');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -19,21 +24,52 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid email'
     ]
   },
+  // Strength rules are enforced by utils/passwordPolicy.js before saving
   password: {
     type: String,
     required: [true, 'Please provide a password'],
-    minlength: [6, 'Password must be at least 6 characters'],
+    select: false
+  },
+  // Hashes of previous passwords, newest first, to prevent reuse
+  passwordHistory: {
+    type: [String],
     select: false
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    enum: Object.keys(ROLES),
+    default: DEFAULT_ROLE
   },
   avatar: {
     type: String,
     default: 'https://via.placeholder.com/150x150.png?text=User'
   },
+  // Resized copies of an uploaded avatar (avatar points at the large one)
+  avatarVariants: {
+    small: String,
+    medium: String,
+    large: String
+  },
+  // Storage keys of the uploaded avatar files, used to remove them on replace
+  avatarFiles: {
+    type: [String],
+    select: false
+  },
+  // External identities (OIDC issuer + subject) linked to this account
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   phone: {
     type: String,
     trim: true
@@ -45,48 +81,320 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Bio cannot be more than 500 characters']
   },
+  // Used for recommendations until the user has rated or watched enough movies
+  favoriteGenres: [{
+    type: String,
+    enum: GENRES
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Accounts the API creates for itself, such as the deleted user placeholder
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the account is soft-deleted (deactivated instead of removed)
+  deletedAt: {
+    type: Date
+  },
+  // Self-service deletion: the account is purged after the grace period
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
   },
-  resetPasswordToken: String,
-  resetPasswordExpire: Date
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Consecutive lockouts; each one doubles the next lock duration
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrollment, moved to twoFactorSecret once confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Hashed single-use recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Embedded in every JWT; bumping it invalidates all previously issued tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  }
 }, {
   timestamps: true
 });
 
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(12);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Changing an existing password logs out every other device
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+    this.tokenVersion += 1;
+
+    // Remember the replaced password. The stored hashes are read here
+    // because the document may have been loaded without them.
+    const { historySize } = getPasswordPolicy();
+    const previous = await this.constructor.findById(this._id)
+      .select('+password +passwordHistory');
+
+    this.passwordHistory = previous && historySize > 1
+      ? [previous.password, ...(previous.passwordHistory || [])].slice(0, historySize - 1)
+      : [];
+  }
+
   next();
 });
 
-// Generate JWT Token
-userSchema.methods.getSignedJwtToken = function() {
+// Generate JWT access token bound to a session
+userSchema.methods.getSignedJwtToken = function(sessionId) {
+  return jwt.sign(
+    { id: this._id, role: this.role, sid: sessionId, tv: this.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Generate short-lived token proving the password step of a 2FA login
+userSchema.methods.getTwoFactorChallengeToken = function() {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, purpose: '2fa-challenge' },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
   );
 };
 
+// Check whether the user's role grants a permission
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this.role, permission);
+};
+
+// Check an ownership-scoped permission, e.g. can('movie:update', movie.createdBy)
+userSchema.methods.can = function(action, ownerId) {
+  if (this.hasPermission(`${action}:any`)) {
+    return true;
+  }
+
+  const isOwner = Boolean(ownerId) && ownerId.toString() === this._id.toString();
+  return isOwner && this.hasPermission(`${action}:own`);
+};
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Update last login
+// Update last login and clear failed login tracking
 userSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
+  this.unlock();
   await this.save({ validateBeforeSave: false });
 };
 
-module.exports = mongoose.model('User', userSchema);
+// Check whether the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed login, locking the account once the limit is reached
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+  // Increment atomically so parallel attempts are all counted
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+
+  if (this.failedLoginAttempts < maxAttempts) {
+    return false;
+  }
+
+  // Lock duration doubles with every consecutive lockout, capped at 24 hours
+  this.lockCount = (updated.lockCount || 0) + 1;
+  const lockMs = Math.min(
+    lockMinutes * 60 * 1000 * Math.pow(2, this.lockCount - 1),
+    24 * 60 * 60 * 1000
+  );
+  this.lockUntil = new Date(Date.now() + lockMs);
+  this.failedLoginAttempts = 0;
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lockUntil: this.lockUntil, lockCount: this.lockCount, failedLoginAttempts: 0 }
+  );
+
+  return true;
+};
+
+// Clear lockout state (used by admins and after a password reset)
+userSchema.methods.unlock = function() {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
+// Generate and hash password reset token
+userSchema.methods.getResetPasswordToken = function() {
+  // Generate token
+  const resetToken = generateToken();
+
+  // Hash token and store it on the user - only the hash is persisted
+  this.resetPasswordToken = hashToken(resetToken);
+
+  // Set expire
+  const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 10;
+  this.resetPasswordExpire = Date.now() + expireMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = generateToken();
+
+  this.emailVerificationToken = hashToken(verificationToken);
+
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+  this.emailVerificationExpire = Date.now() + expireHours * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+// Verify a TOTP code against the confirmed secret, rejecting replays
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const step = totp.verifyCode(this.twoFactorSecret, code);
+
+  if (step === null || (this.twoFactorLastStep && step <= this.twoFactorLastStep)) {
+    return false;
+  }
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+// Generate a fresh set of recovery codes, storing only their hashes
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+
+  return codes;
+};
+
+// Consume a recovery code - each one works only once
+userSchema.methods.useRecoveryCode = function(code) {
+  const codeHash = hashToken(String(code || '').trim().toLowerCase());
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Placeholder account that owns content left behind by deleted users.
+// Its address is reserved so nobody can register or switch to it.
+const DELETED_USER_EMAIL = 'deleted-user@moviesapi.com';
+
+userSchema.statics.isReservedEmail = function(email) {
+  return typeof email === 'string' && email.trim().toLowerCase() === DELETED_USER_EMAIL;
+};
+
+userSchema.statics.getDeletedUserPlaceholder = async function() {
+  const existing = await this.findOne({ isSystem: true });
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await this.create({
+      name: 'Deleted user',
+      email: DELETED_USER_EMAIL,
+      password: `${generateToken(24)}Aa1`,
+      isActive: false,
+      isSystem: true
+    });
+  } catch (error) {
+    // Created concurrently by another request
+    const placeholder = error.code === 11000 && await this.findOne({ isSystem: true });
+    if (placeholder) {
+      return placeholder;
+    }
+    throw error;
+  }
+};
+
+const User = mongoose.model('User', userSchema);
+
+User.DELETED_USER_EMAIL = DELETED_USER_EMAIL;
+
+module.exports = User;
@@ -2,25 +2,90 @@ const express = require('express');
 const {
   register,
   login,
+  loginTwoFactor,
   getMe,
   updateProfile,
   changePassword,
+  getPasswordPolicy,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
   logout,
   getUsers,
   getUser,
   updateUser,
+  assignRole,
+  bulkUpdateUsers,
+  getRoles,
+  unlockUser,
   deleteUser
 } = require('../controllers/authController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { oidcLogin, oidcCallback } = require('../controllers/oidcController');
+const {
+  exportMyData,
+  deleteMyAccount,
+  cancelMyAccountDeletion
+} = require('../controllers/accountController');
+const {
+  getMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions
+} = require('../controllers/sessionController');
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { uploadAvatar, deleteAvatar } = require('../controllers/avatarController');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  resendInvitation,
+  getInvitationByToken
+} = require('../controllers/invitationController');
+const {
+  startImpersonation,
+  endImpersonation,
+  getImpersonations,
+  getImpersonation
+} = require('../controllers/impersonationController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, rejectApiKey, blockImpersonation } = require('../middleware/auth');
 const {
   validateUserRegistration,
   validateUserLogin,
-  validateUserUpdate
+  validateForgotPassword,
+  validateResetPassword,
+  validateChangePassword,
+  validateUserUpdate,
+  validateRoleAssignment,
+  validateUserQuery,
+  validateBulkUserAction,
+  validateUserDeletion,
+  validateApiKey,
+  validateInvitation,
+  validateInvitationResend,
+  validateImpersonation
 } = require('../middleware/validation');
+const { avatarUpload, requireFile } = require('../middleware/upload');
 
 const router = express.Router();
 
+// Account management is for interactive users only
+router.use(rejectApiKey);
+
 /**
  * @swagger
  * tags:
@@ -33,6 +98,10 @@ const router = express.Router();
  * /auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: |
+ *       New accounts always get the default "user" role; roles are assigned by admins.
+ *       When INVITE_ONLY_REGISTRATION is enabled an `inviteToken` is required
+ *       (or use `POST /auth/register/{inviteToken}`).
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -56,13 +125,9 @@ const router = express.Router();
  *                 example: john@example.com
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 example: Password123
- *               role:
- *                 type: string
- *                 enum: [user, admin]
- *                 default: user
- *                 example: user
+ *                 minLength: 8
+ *                 description: Must satisfy the password policy (see GET /auth/password-policy)
+ *                 example: MovieNight2024
  *               phone:
  *                 type: string
  *                 example: +1234567890
@@ -74,6 +139,9 @@ const router = express.Router();
  *                 type: string
  *                 maxLength: 500
  *                 example: Movie enthusiast and critic
+ *               inviteToken:
+ *                 type: string
+ *                 description: Token from an invitation email
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -82,7 +150,13 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error, user already exists or invalid invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Registration is by invitation only
  *         content:
  *           application/json:
  *             schema:
@@ -92,10 +166,60 @@ router.post('/register', validateUserRegistration, register);
 
 /**
  * @swagger
- * /auth/login:
+ * /auth/register/{inviteToken}:
+ *   get:
+ *     summary: Look up an invitation
+ *     description: Returns the invited email address and role so a sign-up form can be prefilled.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: inviteToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the invitation email
+ *     responses:
+ *       200:
+ *         description: Invitation is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                       example: jane@example.com
+ *                     role:
+ *                       type: string
+ *                       example: editor
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       404:
+ *         description: Invitation is invalid or has expired
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *   post:
- *     summary: Login user
+ *     summary: Register with an invitation
+ *     description: |
+ *       Creates the account with the role from the invitation. The email must match the
+ *       invited address and is treated as verified. Each invitation can be used once.
  *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: inviteToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the invitation email
  *     requestBody:
  *       required: true
  *       content:
@@ -103,137 +227,99 @@ router.post('/register', validateUserRegistration, register);
  *           schema:
  *             type: object
  *             required:
+ *               - name
  *               - email
  *               - password
  *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Jane Doe
  *               email:
  *                 type: string
  *                 format: email
- *                 example: john@example.com
+ *                 example: jane@example.com
  *               password:
  *                 type: string
- *                 example: Password123
+ *                 minLength: 8
+ *                 description: Must satisfy the password policy (see GET /auth/password-policy)
+ *                 example: MovieNight2024
  *     responses:
- *       200:
- *         description: Login successful
+ *       201:
+ *         description: User registered successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
- *       401:
- *         description: Invalid credentials
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- */
-router.post('/login', validateUserLogin, login);
-
-/**
- * @swagger
- * /auth/me:
- *   get:
- *     summary: Get current user profile
- *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Current user profile
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   $ref: '#/components/schemas/User'
- *       401:
- *         description: Unauthorized - Invalid or missing token
+ *       400:
+ *         description: Validation error, email mismatch or invalid invitation
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/me', protect, getMe);
+router.get('/register/:inviteToken', getInvitationByToken);
+router.post('/register/:inviteToken', validateUserRegistration, register);
 
 /**
  * @swagger
- * /auth/profile:
- *   put:
- *     summary: Update user profile
+ * /auth/login:
+ *   post:
+ *     summary: Login user
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - email
+ *               - password
  *             properties:
- *               name:
- *                 type: string
- *                 minLength: 2
- *                 maxLength: 50
- *                 example: John Updated
  *               email:
  *                 type: string
  *                 format: email
- *                 example: john.updated@example.com
- *               phone:
- *                 type: string
- *                 example: +1234567890
- *               dateOfBirth:
- *                 type: string
- *                 format: date
- *                 example: 1990-01-01
- *               bio:
- *                 type: string
- *                 maxLength: 500
- *                 example: Updated bio
- *               avatar:
+ *                 example: john@example.com
+ *               password:
  *                 type: string
- *                 format: url
- *                 example: https://example.com/avatar.jpg
+ *                 example: Password123
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   $ref: '#/components/schemas/User'
- *       400:
- *         description: Validation error
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       401:
+ *         description: Invalid credentials
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       401:
- *         description: Unauthorized
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the lock expires
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/profile', protect, validateUserUpdate, updateProfile);
+router.post('/login', validateUserLogin, login);
 
 /**
  * @swagger
- * /auth/changepassword:
- *   put:
- *     summary: Change user password
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Exchange the challenge token from /auth/login plus a TOTP code (or a recovery code) for access and refresh tokens.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
@@ -241,149 +327,164 @@ router.put('/profile', protect, validateUserUpdate, updateProfile);
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
- *               - newPassword
+ *               - challengeToken
  *             properties:
- *               currentPassword:
+ *               challengeToken:
  *                 type: string
- *                 example: Password123
- *               newPassword:
+ *                 example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               code:
  *                 type: string
- *                 minLength: 6
- *                 example: NewPassword123
+ *                 description: 6-digit code from the authenticator app
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Single-use recovery code, instead of code
+ *                 example: a1b2c-3d4e5
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Login successful
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Missing required fields
+ *         description: Missing challenge token or code
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
- *         description: Current password is incorrect
+ *         description: Invalid challenge token or authentication code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/changepassword', protect, changePassword);
+router.post('/login/2fa', loginTwoFactor);
 
 /**
  * @swagger
- * /auth/logout:
- *   post:
- *     summary: Logout user
+ * /auth/oidc/login:
+ *   get:
+ *     summary: Sign in with the configured OpenID Connect identity provider
+ *     description: Redirects the browser to the identity provider and sets a short-lived httpOnly oidcState cookie the callback checks. Use mode=json to receive the URL instead.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [json]
+ *         description: Return the authorization URL as JSON instead of redirecting
  *     responses:
  *       200:
- *         description: Logged out successfully
+ *         description: Authorization URL (mode=json)
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
- *       401:
- *         description: Unauthorized
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authorizationUrl:
+ *                       type: string
+ *                       example: https://idp.example.com/authorize?response_type=code&client_id=movies-api
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Single sign-on is not configured
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/logout', protect, logout);
+router.get('/oidc/login', oidcLogin);
 
 /**
  * @swagger
- * /auth/users:
+ * /auth/oidc/callback:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: OpenID Connect redirect URI
+ *     description: Completes the authorization code flow, links the external identity to a user by verified email and returns the same response as /auth/login. Locked accounts are refused, and accounts with 2FA get a challenge token to complete with /auth/login/2fa instead of tokens.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     security: []
  *     parameters:
  *       - in: query
- *         name: page
+ *         name: code
+ *         required: true
  *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
+ *           type: string
+ *         description: Authorization code from the identity provider
  *       - in: query
- *         name: limit
+ *         name: state
+ *         required: true
  *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of users per page
+ *           type: string
+ *         description: State value issued by /auth/oidc/login
  *     responses:
  *       200:
- *         description: List of users with pagination
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 count:
- *                   type: integer
- *                   example: 10
- *                 total:
- *                   type: integer
- *                   example: 50
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                       example: 1
- *                     limit:
- *                       type: integer
- *                       example: 10
- *                     pages:
- *                       type: integer
- *                       example: 5
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       400:
+ *         description: Missing, invalid or expired state or code, or state not matching the oidcState cookie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
- *         description: Unauthorized
+ *         description: Sign-in rejected, invalid ID token or unverified email
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       403:
- *         description: Forbidden - Admin access required
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the lock expires
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: Identity provider error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/users', protect, authorize('admin'), getUsers);
+router.get('/oidc/callback', oidcCallback);
 
 /**
  * @swagger
- * /auth/users/{id}:
- *   get:
- *     summary: Get user by ID (Admin only)
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret and its otpauth:// provisioning URI for authenticator apps. 2FA is not active until confirmed.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID
  *     responses:
  *       200:
- *         description: User details
+ *         description: Enrollment secret generated
  *         content:
  *           application/json:
  *             schema:
@@ -393,9 +494,16 @@ router.get('/users', protect, authorize('admin'), getUsers);
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/User'
- *       404:
- *         description: User not found
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/Movies%20API%3Ajohn%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Movies+API
+ *       400:
+ *         description: Two-factor authentication already enabled
  *         content:
  *           application/json:
  *             schema:
@@ -406,20 +514,1906 @@ router.get('/users', protect, authorize('admin'), getUsers);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/setup', protect, blockImpersonation, setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Verifies a code from the authenticator app, enables 2FA and returns single-use recovery codes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodesResponse'
+ *       400:
+ *         description: Setup not started or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/confirm', protect, blockImpersonation, confirmTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: Password123
+ *               code:
+ *                 type: string
+ *                 description: Current TOTP code or a recovery code
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Incorrect password or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/disable', protect, blockImpersonation, disableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate two-factor recovery codes
+ *     description: Replaces all existing recovery codes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodesResponse'
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid authentication code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/recovery-codes', protect, blockImpersonation, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/me', protect, getMe);
+
+/**
+ * @swagger
+ * /auth/me/export:
+ *   get:
+ *     summary: Download all your personal data
+ *     description: Returns a JSON file with your profile, the movies you created, your sessions and your API keys.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data export (sent as an attachment)
+ *         headers:
+ *           Content-Disposition:
+ *             schema:
+ *               type: string
+ *             description: attachment; filename="movies-api-export-<id>-<timestamp>.json"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 profile:
+ *                   $ref: '#/components/schemas/User'
+ *                 movies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *                 apiKeys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/me/export', protect, blockImpersonation, exportMyData);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   delete:
+ *     summary: Delete your account
+ *     description: Schedules the account for deletion after a grace period (ACCOUNT_DELETION_GRACE_DAYS) and logs out every session. Movies you created are kept but anonymised.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: Password123
+ *     responses:
+ *       200:
+ *         description: Account scheduled for deletion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deletionScheduledFor:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Deletion already scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized or incorrect password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/me', protect, blockImpersonation, deleteMyAccount);
+
+/**
+ * @swagger
+ * /auth/me/cancel-deletion:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: No deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/me/cancel-deletion', protect, blockImpersonation, cancelMyAccountDeletion);
+
+/**
+ * @swagger
+ * /auth/profile:
+ *   put:
+ *     summary: Update user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 50
+ *                 example: John Updated
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john.updated@example.com
+ *               phone:
+ *                 type: string
+ *                 example: +1234567890
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *                 example: 1990-01-01
+ *               bio:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Updated bio
+ *               favoriteGenres:
+ *                 type: array
+ *                 description: Used for recommendations until you have rated or watched a few movies
+ *                 items:
+ *                   type: string
+ *                 example: [Sci-Fi, Thriller]
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/profile', protect, blockImpersonation, validateUserUpdate, updateProfile);
+
+/**
+ * @swagger
+ * /auth/profile/avatar:
+ *   put:
+ *     summary: Upload a profile avatar
+ *     description: |
+ *       Accepts a JPEG, PNG, WebP or GIF image (max AVATAR_MAX_SIZE_MB, default 5 MB).
+ *       The image is cropped to a square and stored as 64, 128 and 256 pixel WebP variants.
+ *       `avatar` is set to the largest variant and replaces any previous upload.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - avatar
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Missing file, unsupported image type or file too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Remove the uploaded avatar
+ *     description: Deletes the stored avatar files and restores the default avatar.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avatar removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/profile/avatar', protect, blockImpersonation, avatarUpload, requireFile, uploadAvatar);
+router.delete('/profile/avatar', protect, blockImpersonation, deleteAvatar);
+
+/**
+ * @swagger
+ * /auth/changepassword:
+ *   put:
+ *     summary: Change user password
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: Password123
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Must satisfy the password policy (see GET /auth/password-policy)
+ *                 example: PopcornNight2025
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing fields, password policy violations (one error per failed rule) or a recently used password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Current password is incorrect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/changepassword', protect, blockImpersonation, validateChangePassword, changePassword);
+
+/**
+ * @swagger
+ * /auth/password-policy:
+ *   get:
+ *     summary: Get the password requirements
+ *     description: Lets clients show the rules applied on register, password change and reset.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Current password policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     minLength:
+ *                       type: integer
+ *                       example: 8
+ *                     maxLength:
+ *                       type: integer
+ *                       example: 72
+ *                     requireLowercase:
+ *                       type: boolean
+ *                       example: true
+ *                     requireUppercase:
+ *                       type: boolean
+ *                       example: true
+ *                     requireNumber:
+ *                       type: boolean
+ *                       example: true
+ *                     requireSymbol:
+ *                       type: boolean
+ *                       example: false
+ *                     historySize:
+ *                       type: integer
+ *                       description: Number of recent passwords that cannot be reused
+ *                       example: 5
+ *                     rejectsBreachedPasswords:
+ *                       type: boolean
+ *                       example: true
+ */
+router.get('/password-policy', getPasswordPolicy);
+
+/**
+ * @swagger
+ * /auth/forgotpassword:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/forgotpassword', validateForgotPassword, forgotPassword);
+
+/**
+ * @swagger
+ * /auth/resetpassword/{resettoken}:
+ *   put:
+ *     summary: Reset password using the emailed token
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: resettoken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reset token from the password reset email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Must satisfy the password policy (see GET /auth/password-policy)
+ *                 example: PopcornNight2025
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid or expired token, password policy violation or a recently used password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/resetpassword/:resettoken', validateResetPassword, resetPassword);
+
+/**
+ * @swagger
+ * /auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify email address using the emailed token
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token from the welcome email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid or expired verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/verify-email/:token', verifyEmail);
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Email is already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Email could not be sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/verify-email/resend', protect, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: |
+ *       Refresh tokens are single use. Each call returns a new refresh token; replaying an old one revokes the whole session.
+ *       Browser clients may omit the body and rely on the refreshToken cookie, in which case the X-CSRF-Token header is required.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: 9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
+ *     responses:
+ *       200:
+ *         description: New access and refresh tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid, reused, expired or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Invalid or missing CSRF token (cookie refresh)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout user and revoke the current session
+ *     description: Clears the auth cookies. With an impersonation token this ends the impersonation instead; the admin's own sessions are not affected.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allSessions:
+ *                 type: boolean
+ *                 description: Revoke every session of the user instead of only the current one
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout', protect, logout);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List your active sessions and devices
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Revoke all of your sessions except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/sessions', protect, getMySessions);
+router.delete('/sessions', protect, blockImpersonation, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of your sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/sessions/:id', protect, blockImpersonation, revokeMySession);
+
+/**
+ * @swagger
+ * /auth/apikeys:
+ *   post:
+ *     summary: Create a scoped API key
+ *     description: The raw key is returned only once. Only admins can grant stats:read.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: Nightly ingestion job
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [movies:read, movies:write, stats:read]
+ *                 example: [movies:read, movies:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 90
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 key:
+ *                   type: string
+ *                   description: Raw API key for the X-API-Key header
+ *                   example: mk_3f9a1c2b7d8e4f5a6b7c8d9e0f1a2b3c4d5e6f7a8b9c0d1e
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not allowed to grant the requested scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List your API keys
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys of the current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/apikeys', protect, blockImpersonation, validateApiKey, createApiKey);
+router.get('/apikeys', protect, getApiKeys);
+
+/**
+ * @swagger
+ * /auth/apikeys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Owners can revoke their own keys; admins can revoke any key.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/apikeys/:id', protect, blockImpersonation, revokeApiKey);
+
+/**
+ * @swagger
+ * /auth/users:
+ *   get:
+ *     summary: Get all users with search and filters (Admin and moderator)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of users per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in name and email
+ *         example: john
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role (comma separated)
+ *         example: editor,moderator
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by account status
+ *       - in: query
+ *         name: emailVerified
+ *         schema:
+ *           type: boolean
+ *         description: Filter by email verification
+ *       - in: query
+ *         name: lastLoginFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last login on or after this date
+ *       - in: query
+ *         name: lastLoginTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last login on or before this date
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Signed up on or after this date
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Signed up on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: Sort fields (comma separated, prefix with - for descending). Allowed - name, email, role, isActive, emailVerified, lastLogin, createdAt, updatedAt
+ *         example: -lastLogin,name
+ *     responses:
+ *       200:
+ *         description: List of users with pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 10
+ *                 total:
+ *                   type: integer
+ *                   example: 50
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     limit:
+ *                       type: integer
+ *                       example: 10
+ *                     pages:
+ *                       type: integer
+ *                       example: 5
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/users', protect, requirePermission('user:read'), validateUserQuery, getUsers);
+
+/**
+ * @swagger
+ * /auth/users/bulk:
+ *   post:
+ *     summary: Deactivate, reactivate or change the role of many users (Admin only)
+ *     description: Each user is processed separately and gets its own result. Your own account and the last active admin are skipped.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - ids
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [deactivate, reactivate, role]
+ *                 example: role
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                 example: ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012']
+ *               role:
+ *                 type: string
+ *                 enum: [user, editor, moderator, admin]
+ *                 description: Required when action is role
+ *                 example: editor
+ *     responses:
+ *       200:
+ *         description: Per-user results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     requested:
+ *                       type: integer
+ *                       example: 2
+ *                     updated:
+ *                       type: integer
+ *                       example: 1
+ *                     skipped:
+ *                       type: integer
+ *                       example: 0
+ *                     failed:
+ *                       type: integer
+ *                       example: 1
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         example: 507f1f77bcf86cd799439011
+ *                       status:
+ *                         type: string
+ *                         enum: [updated, skipped, failed]
+ *                         example: updated
+ *                       message:
+ *                         type: string
+ *                         example: Role changed to editor
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/users/bulk', protect, requirePermission('user:manage'), validateBulkUserAction, bulkUpdateUsers);
+
+/**
+ * @swagger
+ * /auth/users/{id}:
+ *   get:
+ *     summary: Get user by ID (Admin and moderator)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/users/:id', protect, requirePermission('user:read'), getUser);
+
+/**
+ * @swagger
+ * /auth/users/{id}:
+ *   put:
+ *     summary: Update user by ID (Admin only)
+ *     description: Any update logs the user out of every session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Updated Name
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: updated@example.com
+ *               isActive:
+ *                 type: boolean
+ *                 example: true
+ *               phone:
+ *                 type: string
+ *                 example: +1234567890
+ *               bio:
+ *                 type: string
+ *                 example: Updated bio
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       400:
+ *         description: Validation error, reserved email, or deactivating the last active admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/users/:id', protect, requirePermission('user:manage'), updateUser);
+
+/**
+ * @swagger
+ * /auth/roles:
+ *   get:
+ *     summary: List roles and the permissions they grant (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with their permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 4
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       role:
+ *                         type: string
+ *                         example: editor
+ *                       permissions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: [movie:create, movie:update:own, movie:delete:own, movie:update:any]
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/roles', protect, requirePermission('role:assign'), getRoles);
+
+/**
+ * @swagger
+ * /auth/users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a user (Admin only)
+ *     description: Changing a role logs the user out of every session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, editor, moderator, admin]
+ *                 example: editor
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid role, or demoting the last admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/users/:id/role', protect, requirePermission('role:assign'), validateRoleAssignment, assignRole);
+
+/**
+ * @swagger
+ * /auth/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (Admin and moderator)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 2
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Revoke all sessions of a user (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/users/:id/sessions', protect, requirePermission('user:read'), getUserSessions);
+router.delete('/users/:id/sessions', protect, requirePermission('user:manage'), revokeUserSessions);
+
+/**
+ * @swagger
+ * /auth/users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one session of a user (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/users/:id/sessions/:sessionId', protect, requirePermission('user:manage'), revokeUserSession);
+
+/**
+ * @swagger
+ * /auth/users/{id}/unlock:
+ *   put:
+ *     summary: Unlock a user account locked by failed logins (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/users/:id/unlock', protect, requirePermission('user:manage'), unlockUser);
+
+/**
+ * @swagger
+ * /auth/users/{id}/impersonate:
+ *   post:
+ *     summary: Start impersonating a user (Admin only)
+ *     description: |
+ *       Returns a short-lived access token (IMPERSONATION_EXPIRE_MINUTES, default 15) that acts as
+ *       the user. There is no refresh token. Password, profile and avatar changes, 2FA and API key
+ *       changes, data exports and deletions are blocked while impersonating, and every request is
+ *       recorded in the audit trail.
+ *       Users who can impersonate others (admins) cannot be impersonated.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 500
+ *                 example: Reproducing support ticket 1234
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 token:
+ *                   type: string
+ *                   description: Impersonation access token
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     impersonation:
+ *                       type: string
+ *                       description: Audit record ID
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Missing reason, own account or deactivated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - admin access required, or target is an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/users/:id/impersonate', protect, requirePermission('user:impersonate'), validateImpersonation, startImpersonation);
+
+/**
+ * @swagger
+ * /auth/impersonation/end:
+ *   post:
+ *     summary: End the current impersonation
+ *     description: Call with the impersonation token. The token stops working immediately. `POST /auth/logout` does the same.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Not an impersonation token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/impersonation/end', protect, endImpersonation);
+
+/**
+ * @swagger
+ * /auth/impersonations:
+ *   get:
+ *     summary: Get impersonation audit records (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: admin
+ *         schema:
+ *           type: string
+ *         description: Only sessions started by this admin
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Only sessions impersonating this user
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only sessions that have not ended or expired
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Impersonation records retrieved successfully (without actions)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Impersonation'
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/impersonations', protect, requirePermission('user:impersonate'), getImpersonations);
+
+/**
+ * @swagger
+ * /auth/impersonations/{id}:
+ *   get:
+ *     summary: Get an impersonation record with every recorded request (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Impersonation record ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page of recorded requests
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *         description: Recorded requests per page
+ *     responses:
+ *       200:
+ *         description: Impersonation record retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 total:
+ *                   type: integer
+ *                   description: Number of recorded requests
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   $ref: '#/components/schemas/Impersonation'
+ *       404:
+ *         description: Impersonation record not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/users/:id', protect, authorize('admin'), getUser);
+router.get('/impersonations/:id', protect, requirePermission('user:impersonate'), getImpersonation);
 
 /**
  * @swagger
  * /auth/users/{id}:
- *   put:
- *     summary: Update user by ID (Admin only)
+ *   delete:
+ *     summary: Delete user by ID (Admin only)
+ *     description: |
+ *       By default the user is soft-deleted (deactivated and logged out everywhere).
+ *       A hard delete permanently removes the user and, in the same transaction, either
+ *       reassigns their movies to another user or archives them under a "Deleted user" placeholder.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -430,36 +2424,100 @@ router.get('/users/:id', protect, authorize('admin'), getUser);
  *         schema:
  *           type: string
  *         description: User ID
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [soft, hard]
+ *           default: soft
+ *         description: Soft delete (deactivate) or hard delete
+ *       - in: query
+ *         name: movieAction
+ *         schema:
+ *           type: string
+ *           enum: [reassign, archive]
+ *         description: Required for hard deletes - what to do with the user's movies
+ *       - in: query
+ *         name: reassignTo
+ *         schema:
+ *           type: string
+ *         description: User ID that receives the movies when movieAction is reassign
+ *     responses:
+ *       200:
+ *         description: User deactivated or deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Missing movie action, invalid reassign target, or protected account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       503:
+ *         description: Hard delete on a MongoDB server without transactions (not a replica set)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/users/:id', protect, requirePermission('user:manage'), validateUserDeletion, deleteUser);
+
+/**
+ * @swagger
+ * /auth/invitations:
+ *   post:
+ *     summary: Invite someone to create an account (Admin only)
+ *     description: |
+ *       Emails a single-use registration link. The account gets the given role when the
+ *       invitation is accepted. A new invitation replaces any pending one for the same address.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - email
  *             properties:
- *               name:
- *                 type: string
- *                 example: Updated Name
  *               email:
  *                 type: string
  *                 format: email
- *                 example: updated@example.com
+ *                 example: jane@example.com
  *               role:
  *                 type: string
- *                 enum: [user, admin]
- *                 example: user
- *               isActive:
- *                 type: boolean
- *                 example: true
- *               phone:
- *                 type: string
- *                 example: +1234567890
- *               bio:
- *                 type: string
- *                 example: Updated bio
+ *                 enum: [user, editor, moderator, admin]
+ *                 default: user
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 description: Defaults to INVITATION_EXPIRE_DAYS (7)
  *     responses:
- *       200:
- *         description: User updated successfully
+ *       201:
+ *         description: Invitation sent
  *         content:
  *           application/json:
  *             schema:
@@ -469,39 +2527,81 @@ router.get('/users/:id', protect, authorize('admin'), getUser);
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/User'
- *       404:
- *         description: User not found
+ *                   $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Validation error or user already exists
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       400:
- *         description: Validation error
+ *       403:
+ *         description: Forbidden - admin access required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       401:
- *         description: Unauthorized
+ *   get:
+ *     summary: Get invitations (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, expired, revoked]
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invitation'
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden - admin access required
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/users/:id', protect, authorize('admin'), updateUser);
+router.post('/invitations', protect, requirePermission('user:invite'), validateInvitation, createInvitation);
+router.get('/invitations', protect, requirePermission('user:invite'), getInvitations);
 
 /**
  * @swagger
- * /auth/users/{id}:
+ * /auth/invitations/{id}:
  *   delete:
- *     summary: Delete user by ID (Admin only)
+ *     summary: Revoke a pending invitation (Admin only)
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -511,33 +2611,87 @@ router.put('/users/:id', protect, authorize('admin'), updateUser);
  *         required: true
  *         schema:
  *           type: string
- *         description: User ID
+ *         description: Invitation ID
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: Invitation revoked
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Invitation is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: User not found
+ *         description: Invitation not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       401:
- *         description: Unauthorized
+ */
+router.delete('/invitations/:id', protect, requirePermission('user:invite'), revokeInvitation);
+
+/**
+ * @swagger
+ * /auth/invitations/{id}/resend:
+ *   post:
+ *     summary: Resend an invitation with a new link (Admin only)
+ *     description: Issues a new token and expiry, so links from earlier emails stop working. Also renews expired invitations.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *     responses:
+ *       200:
+ *         description: Invitation sent again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Invitation'
+ *       400:
+ *         description: Invitation was already accepted or revoked
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       403:
- *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Invitation not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/users/:id', protect, authorize('admin'), deleteUser);
+router.post('/invitations/:id/resend', protect, requirePermission('user:invite'), validateInvitationResend, resendInvitation);
 
 module.exports = router;
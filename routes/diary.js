@@ -0,0 +1,379 @@
+const express = require('express');
+const {
+  getDiary,
+  getDiaryStats,
+  getDiaryEntry,
+  createDiaryEntry,
+  updateDiaryEntry,
+  deleteDiaryEntry
+} = require('../controllers/diaryController');
+
+const { protect, requireScope, blockImpersonation } = require('../middleware/auth');
+const {
+  validateDiaryEntry,
+  validateDiaryEntryUpdate,
+  validateDiaryQuery
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Diary
+ *   description: Personal watch diary and viewing statistics
+ */
+
+/**
+ * @swagger
+ * /diary:
+ *   get:
+ *     summary: Browse your watch diary
+ *     description: Entries are returned newest first. Pass year, or year and month, to browse one period.
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         example: 2024
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Month of the given year
+ *         example: 3
+ *       - in: query
+ *         name: movie
+ *         schema:
+ *           type: string
+ *         description: Only viewings of this movie
+ *       - in: query
+ *         name: rewatch
+ *         schema:
+ *           type: boolean
+ *         description: Only rewatches (true) or first viewings (false)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Diary entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DiaryEntry'
+ *       400:
+ *         description: Invalid year or month
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   post:
+ *     summary: Log a movie in your diary
+ *     description: watchedAt defaults to now. Unless rewatch is given, it is set when the movie was already logged before that date.
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DiaryEntryInput'
+ *     responses:
+ *       201:
+ *         description: Diary entry created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/DiaryEntry'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Movie not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', protect, requireScope('movies:read'), validateDiaryQuery, getDiary);
+router.post('/', protect, requireScope('movies:write'), validateDiaryEntry, createDiaryEntry);
+
+/**
+ * @swagger
+ * /diary/stats:
+ *   get:
+ *     summary: Get your viewing statistics
+ *     description: Minutes watched are based on each movie's duration. Pass year, or year and month, to limit the statistics to one period.
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         example: 2024
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *     responses:
+ *       200:
+ *         description: Viewing statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     overview:
+ *                       type: object
+ *                       properties:
+ *                         totalEntries:
+ *                           type: integer
+ *                           example: 48
+ *                         uniqueMovies:
+ *                           type: integer
+ *                           example: 41
+ *                         rewatches:
+ *                           type: integer
+ *                           example: 7
+ *                         totalMinutes:
+ *                           type: integer
+ *                           example: 5630
+ *                         avgRating:
+ *                           type: number
+ *                           example: 7.6
+ *                     topGenres:
+ *                       type: array
+ *                       description: Ten most watched genres
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: Drama
+ *                           count:
+ *                             type: integer
+ *                           minutes:
+ *                             type: integer
+ *                           avgRating:
+ *                             type: number
+ *                     topDirectors:
+ *                       type: array
+ *                       description: Ten most watched directors
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: Christopher Nolan
+ *                           count:
+ *                             type: integer
+ *                           minutes:
+ *                             type: integer
+ *                           avgRating:
+ *                             type: number
+ *                     byMonth:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: object
+ *                             properties:
+ *                               year:
+ *                                 type: integer
+ *                               month:
+ *                                 type: integer
+ *                           count:
+ *                             type: integer
+ *                           minutes:
+ *                             type: integer
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/stats', protect, requireScope('movies:read'), validateDiaryQuery, getDiaryStats);
+
+/**
+ * @swagger
+ * /diary/{id}:
+ *   get:
+ *     summary: Get a diary entry
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Diary entry ID
+ *     responses:
+ *       200:
+ *         description: Diary entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/DiaryEntry'
+ *       404:
+ *         description: Diary entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   put:
+ *     summary: Update a diary entry
+ *     description: Send null to clear the rating or note.
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Diary entry ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               watchedAt:
+ *                 type: string
+ *                 format: date-time
+ *               rewatch:
+ *                 type: boolean
+ *               rating:
+ *                 type: number
+ *                 nullable: true
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Diary entry updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/DiaryEntry'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Diary entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete a diary entry
+ *     tags: [Diary]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Diary entry ID
+ *     responses:
+ *       200:
+ *         description: Diary entry deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: Diary entry not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', protect, requireScope('movies:read'), getDiaryEntry);
+router.put('/:id', protect, requireScope('movies:write'), validateDiaryEntryUpdate, updateDiaryEntry);
+router.delete('/:id', protect, blockImpersonation, requireScope('movies:write'), deleteDiaryEntry);
+
+module.exports = router;
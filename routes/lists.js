@@ -0,0 +1,748 @@
+const express = require('express');
+const {
+  getLists,
+  getMyLists,
+  getList,
+  getSharedList,
+  createList,
+  updateList,
+  deleteList,
+  addEntry,
+  updateEntry,
+  reorderEntries,
+  removeEntry,
+  createShareLink,
+  revokeShareLink,
+  likeList,
+  likeSharedList,
+  unlikeList
+} = require('../controllers/listController');
+
+const {
+  protect,
+  optionalAuth,
+  requirePermission,
+  requireScope,
+  requireVerifiedEmail,
+  blockImpersonation
+} = require('../middleware/auth');
+const {
+  validateList,
+  validateListUpdate,
+  validateListQuery,
+  validateListEntry,
+  validateListEntryUpdate,
+  validateListOrder
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Lists
+ *   description: User-curated movie lists
+ */
+
+/**
+ * @swagger
+ * /lists:
+ *   get:
+ *     summary: Browse public lists
+ *     description: Lists are sorted by popularity (number of likes) unless another sort is given.
+ *     tags: [Lists]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in list titles
+ *         example: heist
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: Only lists of this user
+ *       - in: query
+ *         name: movie
+ *         schema:
+ *           type: string
+ *         description: Only lists containing this movie
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -likeCount,-updatedAt
+ *         description: likeCount, createdAt, updatedAt or title, prefix with - for descending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Public lists retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/List'
+ *       400:
+ *         description: Invalid owner or movie ID, or invalid pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   post:
+ *     summary: Create a list
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ListInput'
+ *     responses:
+ *       201:
+ *         description: List created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/List'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', validateListQuery, getLists);
+router.post('/', protect, requireScope('movies:write'), requirePermission('list:create'), requireVerifiedEmail, validateList, createList);
+
+/**
+ * @swagger
+ * /lists/me:
+ *   get:
+ *     summary: Get your lists
+ *     description: Includes private and unlisted lists along with their share links.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Your lists, most recently updated first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/List'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/me', protect, requireScope('movies:read'), getMyLists);
+
+/**
+ * @swagger
+ * /lists/shared/{shareToken}:
+ *   get:
+ *     summary: Open a list through its share link
+ *     description: Works for public and unlisted lists. Links stop working when they are revoked or the list is made private.
+ *     tags: [Lists]
+ *     parameters:
+ *       - in: path
+ *         name: shareToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shared list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/List'
+ *       404:
+ *         description: Share link is invalid or has been revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/shared/:shareToken', getSharedList);
+
+/**
+ * @swagger
+ * /lists/{id}:
+ *   get:
+ *     summary: Get list by ID
+ *     description: Public lists are visible to everyone. Private and unlisted lists are only visible to their owner here; others open unlisted lists through the share link.
+ *     tags: [Lists]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     responses:
+ *       200:
+ *         description: List details with its movies in order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/List'
+ *       404:
+ *         description: List not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   put:
+ *     summary: Update list title, description or visibility
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ListInput'
+ *     responses:
+ *       200:
+ *         description: List updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/List'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the list owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: List not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete list
+ *     description: Owners delete their own lists; moderators and admins can delete any list.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     responses:
+ *       200:
+ *         description: List deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: Not the list owner and role lacks permission for other users' lists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: List not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id', optionalAuth, getList);
+router.put('/:id', protect, requireScope('movies:write'), validateListUpdate, updateList);
+router.delete('/:id', protect, blockImpersonation, requireScope('movies:write'), deleteList);
+
+/**
+ * @swagger
+ * /lists/{id}/entries:
+ *   post:
+ *     summary: Add a movie to a list
+ *     description: The movie is added at the end unless a zero-based position is given.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - movie
+ *             properties:
+ *               movie:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439011
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: Watch this one first
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 0
+ *     responses:
+ *       201:
+ *         description: Movie added; returns the entries in their new order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ListEntry'
+ *       400:
+ *         description: Validation error, movie already in the list or list is full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: List or movie not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   put:
+ *     summary: Reorder all movies in a list
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - movies
+ *             properties:
+ *               movies:
+ *                 type: array
+ *                 description: Every movie ID of the list, in the new order
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439013", "507f1f77bcf86cd799439011"]
+ *     responses:
+ *       200:
+ *         description: Entries in their new order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ListEntry'
+ *       400:
+ *         description: The order does not contain every movie of the list exactly once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: List not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/entries', protect, requireScope('movies:write'), validateListEntry, addEntry);
+router.put('/:id/entries', protect, requireScope('movies:write'), validateListOrder, reorderEntries);
+
+/**
+ * @swagger
+ * /lists/{id}/entries/{movieId}:
+ *   put:
+ *     summary: Change the note or position of a movie in a list
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *       - in: path
+ *         name: movieId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Zero-based position to move the movie to
+ *     responses:
+ *       200:
+ *         description: Entries in their new order
+ *       404:
+ *         description: List not found or movie is not in the list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Remove a movie from a list
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *       - in: path
+ *         name: movieId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *     responses:
+ *       200:
+ *         description: Movie removed from list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: List not found or movie is not in the list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:id/entries/:movieId', protect, requireScope('movies:write'), validateListEntryUpdate, updateEntry);
+router.delete('/:id/entries/:movieId', protect, blockImpersonation, requireScope('movies:write'), removeEntry);
+
+/**
+ * @swagger
+ * /lists/{id}/share:
+ *   post:
+ *     summary: Create a share link
+ *     description: Replaces any previous share link of the list. Private lists must be made public or unlisted first.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     responses:
+ *       200:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     shareToken:
+ *                       type: string
+ *                     shareUrl:
+ *                       type: string
+ *       400:
+ *         description: The list is private
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: List not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Revoke the share link
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     responses:
+ *       200:
+ *         description: Share link revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       404:
+ *         description: List not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:id/share', protect, requireScope('movies:write'), createShareLink);
+router.delete('/:id/share', protect, blockImpersonation, requireScope('movies:write'), revokeShareLink);
+
+/**
+ * @swagger
+ * /lists/{id}/like:
+ *   put:
+ *     summary: Like a list
+ *     description: Likes decide which lists are popular. Liking a list twice has no effect. Unlisted lists can only be liked through their share link.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     responses:
+ *       200:
+ *         description: List liked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     liked:
+ *                       type: boolean
+ *                       example: true
+ *                     likeCount:
+ *                       type: integer
+ *                       example: 43
+ *       404:
+ *         description: List not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Remove your like from a list
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     responses:
+ *       200:
+ *         description: Like removed
+ *       404:
+ *         description: List not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:id/like', protect, requireScope('movies:write'), likeList);
+router.delete('/:id/like', protect, blockImpersonation, requireScope('movies:write'), unlikeList);
+
+/**
+ * @swagger
+ * /lists/shared/{shareToken}/like:
+ *   put:
+ *     summary: Like a list through its share link
+ *     description: The way to like an unlisted list. Liking a list twice has no effect.
+ *     tags: [Lists]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shareToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Share token from the list's share link
+ *     responses:
+ *       200:
+ *         description: List liked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     liked:
+ *                       type: boolean
+ *                       example: true
+ *                     likeCount:
+ *                       type: integer
+ *                       example: 43
+ *       404:
+ *         description: Share link is invalid or has been revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/shared/:shareToken/like', protect, requireScope('movies:write'), likeSharedList);
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const {
+  getMedia,
+  uploadMedia,
+  updateMedia,
+  deleteMedia
+} = require('../controllers/mediaController');
+
+const { protect, requireScope, blockImpersonation } = require('../middleware/auth');
+const { validateMediaUpload, validateMediaUpdate } = require('../middleware/validation');
+const { mediaUpload, requireFile } = require('../middleware/upload');
+
+// Mounted under /api/movies/:id/media
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /movies/{id}/media:
+ *   get:
+ *     summary: Get the media gallery of a movie
+ *     tags: [Movies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [poster, backdrop, still]
+ *         description: Only return media of this type
+ *     responses:
+ *       200:
+ *         description: Media retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MovieMedia'
+ *       404:
+ *         description: Movie not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   post:
+ *     summary: Upload a poster, backdrop or still
+ *     description: |
+ *       Accepts a JPEG, PNG, WebP or GIF image (max MEDIA_MAX_SIZE_MB, default 10 MB).
+ *       Thumbnail, medium and large WebP variants and a blurred placeholder are generated.
+ *       The first image of each type becomes its primary image; the primary poster is
+ *       copied to the movie's posterUrl.
+ *     tags: [Movies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - type
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               type:
+ *                 type: string
+ *                 enum: [poster, backdrop, still]
+ *               caption:
+ *                 type: string
+ *                 maxLength: 200
+ *               isPrimary:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Media uploaded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/MovieMedia'
+ *       400:
+ *         description: Validation error, unsupported image type or file too large
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the movie owner and role lacks permission for other users' movies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Movie not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', getMedia);
+router.post('/', protect, requireScope('movies:write'), mediaUpload, requireFile, validateMediaUpload, uploadMedia);
+
+/**
+ * @swagger
+ * /movies/{id}/media/{mediaId}:
+ *   put:
+ *     summary: Update the caption or primary flag of a media item
+ *     tags: [Movies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *       - in: path
+ *         name: mediaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Media ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               caption:
+ *                 type: string
+ *                 maxLength: 200
+ *                 example: Theatrical poster
+ *               isPrimary:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Media updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/MovieMedia'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the movie owner and role lacks permission for other users' movies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Movie or media not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Delete a media item
+ *     description: Removes the stored files. When the primary image is deleted, the newest remaining image of the same type becomes primary, and a promoted poster becomes the movie's posterUrl. The poster in use cannot be deleted while it is the movie's only poster.
+ *     tags: [Movies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *       - in: path
+ *         name: mediaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Media ID
+ *     responses:
+ *       200:
+ *         description: Media deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: The poster in use is the movie's only poster
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the movie owner and role lacks permission for other users' movies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Movie or media not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/:mediaId', protect, requireScope('movies:write'), validateMediaUpdate, updateMedia);
+router.delete('/:mediaId', protect, blockImpersonation, requireScope('movies:write'), deleteMedia);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const {
   getMovies,
   getMovie,
+  getSimilarMovies,
+  getRecommendations,
   createMovie,
   updateMovie,
   deleteMovie,
@@ -10,15 +12,33 @@ const {
   getLatestMovies,
   getMovieStats
 } = require('../controllers/movieController');
+const {
+  getSavedMovies,
+  addSavedMovie,
+  removeSavedMovie
+} = require('../controllers/savedMovieController');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, optionalAuth, requirePermission, requireScope, requireVerifiedEmail, blockImpersonation } = require('../middleware/auth');
 const {
   validateMovie,
-  validateMovieUpdate
+  validateMovieUpdate,
+  validateSimilarQuery,
+  validateRecommendationQuery
 } = require('../middleware/validation');
 
+// Include other resource routers
+const mediaRouter = require('./media');
+const reviewRouter = require('./reviews');
+
 const router = express.Router();
 
+// Personal movie lists, matched before /:id
+const SAVED_LIST = ':list(watchlist|favorites)';
+
+// Re-route into other resource routers
+router.use('/:id/media', mediaRouter);
+router.use('/:id/reviews', reviewRouter);
+
 /**
  * @swagger
  * tags:
@@ -31,7 +51,12 @@ const router = express.Router();
  * /movies:
  *   get:
  *     summary: Get all movies with advanced filtering and pagination
+ *     description: Authentication is optional. When the caller is signed in, each movie also has inWatchlist and isFavorite.
  *     tags: [Movies]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - cookieAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -61,7 +86,7 @@ const router = express.Router();
  *         name: sort
  *         schema:
  *           type: string
- *         description: Sort field (prefix with - for descending)
+ *         description: Sort field (prefix with - for descending), e.g. -rating or -communityScore,-communityVotes
  *         example: -rating
  *       - in: query
  *         name: rating[gte]
@@ -70,6 +95,18 @@ const router = express.Router();
  *         description: Minimum rating
  *         example: 8.0
  *       - in: query
+ *         name: communityScore[gte]
+ *         schema:
+ *           type: number
+ *         description: Minimum community score from user reviews
+ *         example: 7.5
+ *       - in: query
+ *         name: communityVotes[gte]
+ *         schema:
+ *           type: integer
+ *         description: Minimum number of user reviews
+ *         example: 10
+ *       - in: query
  *         name: releaseDate[gte]
  *         schema:
  *           type: string
@@ -125,7 +162,7 @@ const router = express.Router();
  *                   items:
  *                     $ref: '#/components/schemas/Movie'
  */
-router.get('/', getMovies);
+router.get('/', optionalAuth, getMovies);
 
 /**
  * @swagger
@@ -258,12 +295,242 @@ router.get('/latest', getLatestMovies);
  */
 router.get('/genre/:genre', getMoviesByGenre);
 
+/**
+ * @swagger
+ * /movies/recommendations:
+ *   get:
+ *     summary: Get movies recommended for you
+ *     description: |
+ *       Combines what users with similar ratings and watch history liked with the
+ *       genres, directors and cast of the movies you liked. Until you have rated,
+ *       watched or favorited a few movies, recommendations come from your favorite
+ *       genres (see PUT /auth/profile), or the most popular movies.
+ *       Results are stored and recomputed when older than RECOMMENDATIONS_MAX_AGE_HOURS.
+ *     tags: [Movies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Recompute the recommendations now, unless they were computed in the last RECOMMENDATIONS_REFRESH_COOLDOWN_MINUTES
+ *     responses:
+ *       200:
+ *         description: Recommended movies, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 strategy:
+ *                   type: string
+ *                   enum: [personalized, favorite-genres, popular]
+ *                 computedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       movie:
+ *                         $ref: '#/components/schemas/Movie'
+ *                       score:
+ *                         type: number
+ *                         example: 0.734
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["Liked by 4 users with similar taste", "Because you like Sci-Fi"]
+ *       400:
+ *         description: Invalid limit or refresh
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/recommendations', protect, requireScope('movies:read'), validateRecommendationQuery, getRecommendations);
+
+/**
+ * @swagger
+ * /movies/{list}:
+ *   get:
+ *     summary: Get movies on your watchlist or favorites
+ *     description: Supports the same filtering, search, sorting, field selection and pagination as GET /movies.
+ *     tags: [Movies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: list
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [watchlist, favorites]
+ *         description: Which of the user's lists
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *         example: -rating
+ *     responses:
+ *       200:
+ *         description: Movies on the list, with the same response shape as GET /movies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(`/${SAVED_LIST}`, protect, requireScope('movies:read'), getSavedMovies);
+
+/**
+ * @swagger
+ * /movies/{id}/{list}:
+ *   put:
+ *     summary: Add a movie to your watchlist or favorites
+ *     description: Adding a movie that is already on the list has no effect.
+ *     tags: [Movies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *       - in: path
+ *         name: list
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [watchlist, favorites]
+ *         description: Which of the user's lists
+ *     responses:
+ *       200:
+ *         description: Movie is on the list
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Movie not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Remove a movie from your watchlist or favorites
+ *     tags: [Movies]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *       - in: path
+ *         name: list
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [watchlist, favorites]
+ *         description: Which of the user's lists
+ *     responses:
+ *       200:
+ *         description: Movie removed from the list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Movie is not on the list
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(`/:id/${SAVED_LIST}`, protect, requireScope('movies:write'), addSavedMovie);
+router.delete(`/:id/${SAVED_LIST}`, protect, blockImpersonation, requireScope('movies:write'), removeSavedMovie);
+
 /**
  * @swagger
  * /movies/{id}:
  *   get:
  *     summary: Get movie by ID
+ *     description: Authentication is optional. When the caller is signed in, the movie also has inWatchlist and isFavorite.
  *     tags: [Movies]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - cookieAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -291,7 +558,114 @@ router.get('/genre/:genre', getMoviesByGenre);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', getMovie);
+router.get('/:id', optionalAuth, getMovie);
+
+/**
+ * @swagger
+ * /movies/{id}/similar:
+ *   get:
+ *     summary: Get movies similar to a movie
+ *     description: |
+ *       Ranks other movies by shared genres, director, cast members and language,
+ *       release era (within 10 years) and rating proximity (within 3 points).
+ *       Each feature scores 0 to 1 and the score is their weighted average.
+ *       Inactive and archived movies are excluded. Each match explains why it matched.
+ *     tags: [Movies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Movie ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *       - in: query
+ *         name: minScore
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *         description: Only movies scoring at least this
+ *       - in: query
+ *         name: weights
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *           properties:
+ *             genre:
+ *               type: number
+ *               default: 3
+ *             director:
+ *               type: number
+ *               default: 2
+ *             cast:
+ *               type: number
+ *               default: 2
+ *             language:
+ *               type: number
+ *               default: 1
+ *             era:
+ *               type: number
+ *               default: 1
+ *             rating:
+ *               type: number
+ *               default: 1
+ *         description: Feature weights, e.g. weights[cast]=5&weights[language]=0
+ *     responses:
+ *       200:
+ *         description: Similar movies, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 weights:
+ *                   type: object
+ *                   description: Weights used for the ranking
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       movie:
+ *                         $ref: '#/components/schemas/Movie'
+ *                       score:
+ *                         type: number
+ *                         example: 0.582
+ *                       breakdown:
+ *                         type: object
+ *                         description: Score of each feature from 0 to 1
+ *                         example: { genre: 0.333, director: 0, cast: 1, language: 1, era: 0, rating: 0.567 }
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["Shares genres: Action", "Shares cast: Keanu Reeves", "Same language: English"]
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Movie not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/similar', validateSimilarQuery, getSimilarMovies);
 
 /**
  * @swagger
@@ -301,6 +675,7 @@ router.get('/:id', getMovie);
  *     tags: [Movies]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -430,8 +805,14 @@ router.get('/:id', getMovie);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Email address not verified (when REQUIRE_EMAIL_VERIFICATION is enabled)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', protect, validateMovie, createMovie);
+router.post('/', protect, requireScope('movies:write'), requirePermission('movie:create'), requireVerifiedEmail, validateMovie, createMovie);
 
 /**
  * @swagger
@@ -441,6 +822,7 @@ router.post('/', protect, validateMovie, createMovie);
  *     tags: [Movies]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -560,7 +942,13 @@ router.post('/', protect, validateMovie, createMovie);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
- *         description: Unauthorized or not movie owner
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the movie owner and role lacks permission for other users' movies
  *         content:
  *           application/json:
  *             schema:
@@ -572,7 +960,7 @@ router.post('/', protect, validateMovie, createMovie);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', protect, validateMovieUpdate, updateMovie);
+router.put('/:id', protect, requireScope('movies:write'), validateMovieUpdate, updateMovie);
 
 /**
  * @swagger
@@ -582,6 +970,7 @@ router.put('/:id', protect, validateMovieUpdate, updateMovie);
  *     tags: [Movies]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -597,7 +986,13 @@ router.put('/:id', protect, validateMovieUpdate, updateMovie);
  *             schema:
  *               $ref: '#/components/schemas/SuccessResponse'
  *       401:
- *         description: Unauthorized or not movie owner
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not the movie owner and role lacks permission for other users' movies
  *         content:
  *           application/json:
  *             schema:
@@ -609,7 +1004,7 @@ router.put('/:id', protect, validateMovieUpdate, updateMovie);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', protect, deleteMovie);
+router.delete('/:id', protect, blockImpersonation, requireScope('movies:write'), deleteMovie);
 
 /**
  * @swagger
@@ -619,6 +1014,7 @@ router.delete('/:id', protect, deleteMovie);
  *     tags: [Movies]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Movie statistics
@@ -692,6 +1088,6 @@ router.delete('/:id', protect, deleteMovie);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/admin/stats', protect, authorize('admin'), getMovieStats);
+router.get('/admin/stats', protect, requireScope('stats:read'), requirePermission('stats:read'), getMovieStats);
 
 module.exports = router;
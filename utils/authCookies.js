@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Cookie names used by browser clients
+const ACCESS_COOKIE = 'token';
+const REFRESH_COOKIE = 'refreshToken';
+const CSRF_COOKIE = 'csrfToken';
+const OIDC_STATE_COOKIE = 'oidcState';
+
+// Header browser clients echo the CSRF token in
+const CSRF_HEADER = 'x-csrf-token';
+
+const getCookieOptions = () => ({
+  secure: process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  sameSite: process.env.COOKIE_SAME_SITE || 'lax',
+  ...(process.env.COOKIE_DOMAIN && { domain: process.env.COOKIE_DOMAIN })
+});
+
+// CSRF token bound to a session, so it cannot be reused with another login
+// and needs no server-side storage
+const getCsrfToken = (sessionId) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET)
+    .update(`csrf:${sessionId}`)
+    .digest('hex');
+
+// Check the CSRF header sent with a cookie-authenticated request
+const verifyCsrfToken = (req, sessionId) => {
+  const sent = req.get(CSRF_HEADER);
+  const expected = getCsrfToken(sessionId);
+
+  return typeof sent === 'string' && sent.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+};
+
+// Safe methods never change state and need no CSRF token
+const isStateChanging = (req) => !['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+
+// Set httpOnly access and refresh token cookies plus the readable CSRF cookie
+const setAuthCookies = (res, { token, refreshToken, session }) => {
+  const options = getCookieOptions();
+  const { exp } = jwt.decode(token);
+
+  res.cookie(ACCESS_COOKIE, token, {
+    ...options,
+    httpOnly: true,
+    path: '/',
+    expires: new Date(exp * 1000)
+  });
+
+  // The refresh token is only ever needed by the auth routes
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: '/api/auth',
+    expires: session.expiresAt
+  });
+
+  res.cookie(CSRF_COOKIE, getCsrfToken(session._id), {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    expires: session.expiresAt
+  });
+};
+
+const clearAuthCookies = (res) => {
+  const options = getCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: '/api/auth' });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+// The OIDC state is also kept in the browser that started the sign-in, so a
+// callback URL cannot be completed in someone else's browser. Lax is needed
+// for the cookie to come back on the identity provider's redirect.
+const setOidcStateCookie = (res, state, expiresAt) => {
+  res.cookie(OIDC_STATE_COOKIE, state, {
+    ...getCookieOptions(),
+    sameSite: 'lax',
+    httpOnly: true,
+    path: '/api/auth/oidc',
+    expires: expiresAt
+  });
+};
+
+const clearOidcStateCookie = (res) => {
+  res.clearCookie(OIDC_STATE_COOKIE, { ...getCookieOptions(), sameSite: 'lax', path: '/api/auth/oidc' });
+};
+
+// Check the state returned to the callback against the browser's cookie
+const verifyOidcState = (req, state) => {
+  const expected = req.cookies && req.cookies[OIDC_STATE_COOKIE];
+
+  return typeof expected === 'string' && typeof state === 'string' &&
+    state.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(state), Buffer.from(expected));
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  getCsrfToken,
+  verifyCsrfToken,
+  isStateChanging,
+  setAuthCookies,
+  clearAuthCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  verifyOidcState
+};
@@ -0,0 +1,60 @@
+const User = require('../models/User');
+const Movie = require('../models/Movie');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Review = require('../models/Review');
+const SavedMovie = require('../models/SavedMovie');
+const List = require('../models/List');
+const DiaryEntry = require('../models/DiaryEntry');
+const Recommendation = require('../models/Recommendation');
+const runInTransaction = require('./runInTransaction');
+const { removeFiles } = require('./storage');
+
+// Permanently remove a user. Their movies are handed to `newOwner` (or the
+// "Deleted user" placeholder) before the user is removed, so nothing is left
+// pointing at a missing user. With `archive` the movies are also archived.
+// Reviews, watchlists, favorites, lists and the watch diary are personal and
+// are deleted with the user, and their likes are taken back. Uploaded
+// avatar files are removed once the user is gone.
+const deleteUserAccount = async (user, { newOwner, archive = false } = {}) => {
+  const owner = newOwner || await User.getDeletedUserPlaceholder();
+  const reviewedMovies = await Review.distinct('movie', { user: user._id });
+
+  // Avatar files are not selected by default
+  const { avatarFiles = [] } = await User.findById(user._id).select('+avatarFiles').lean() || {};
+
+  const result = await runInTransaction(async (session) => {
+    const createdUpdate = archive
+      ? { createdBy: owner._id, status: 'archived' }
+      : { createdBy: owner._id };
+
+    const created = await Movie.updateMany({ createdBy: user._id }, createdUpdate, { session });
+    await Movie.updateMany({ updatedBy: user._id }, { updatedBy: owner._id }, { session });
+    await Session.deleteMany({ user: user._id }, { session });
+    await ApiKey.deleteMany({ user: user._id }, { session });
+    await Review.deleteMany({ user: user._id }, { session });
+    await SavedMovie.deleteMany({ user: user._id }, { session });
+    await List.deleteMany({ owner: user._id }, { session });
+    await DiaryEntry.deleteMany({ user: user._id }, { session });
+    await Recommendation.deleteMany({ user: user._id }, { session });
+    await List.updateMany(
+      { likedBy: user._id },
+      { $pull: { likedBy: user._id }, $inc: { likeCount: -1 } },
+      { session, timestamps: false }
+    );
+    await User.deleteOne({ _id: user._id }, { session });
+
+    return {
+      newOwner: owner,
+      moviesAffected: created.modifiedCount
+    };
+  });
+
+  // Scores are recalculated once the reviews are gone
+  await Promise.all(reviewedMovies.map(movieId => Review.updateCommunityScore(movieId)));
+  await removeFiles(avatarFiles);
+
+  return result;
+};
+
+module.exports = deleteUserAccount;
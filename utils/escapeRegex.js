@@ -0,0 +1,4 @@
+// Escape user input so it matches literally inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,87 @@
+const Movie = require('../models/Movie');
+
+// Fields that control the listing rather than filter it
+const CONTROL_FIELDS = ['select', 'sort', 'page', 'limit', 'search'];
+
+// Run a movie listing from query string parameters: filters (with gt, gte,
+// lt, lte and in operators), search, field selection, sort and pagination.
+// `baseFilter` restricts the movies that can be returned at all.
+const findMovies = async (reqParams, baseFilter = {}) => {
+  // Copy req.query
+  const reqQuery = { ...reqParams };
+
+  // Loop over control fields and delete them from reqQuery
+  CONTROL_FIELDS.forEach(param => delete reqQuery[param]);
+
+  // Create query string
+  let queryStr = JSON.stringify(reqQuery);
+
+  // Create operators ($gt, $gte, etc)
+  queryStr = queryStr.replace(/\b(gt|gte|lt|lte|in)\b/g, match => `$${match}`);
+
+  const filter = { ...JSON.parse(queryStr), ...baseFilter };
+
+  // Finding resource
+  let query = Movie.find(filter);
+
+  // Search functionality
+  if (reqParams.search) {
+    query = query.find({
+      $or: [
+        { title: { $regex: reqParams.search, $options: 'i' } },
+        { description: { $regex: reqParams.search, $options: 'i' } },
+        { director: { $regex: reqParams.search, $options: 'i' } }
+      ]
+    });
+  }
+
+  // Select Fields
+  if (reqParams.select) {
+    const fields = reqParams.select.split(',').join(' ');
+    query = query.select(fields);
+  }
+
+  // Sort
+  if (reqParams.sort) {
+    const sortBy = reqParams.sort.split(',').join(' ');
+    query = query.sort(sortBy);
+  } else {
+    query = query.sort('-createdAt');
+  }
+
+  // Pagination
+  const page = parseInt(reqParams.page, 10) || 1;
+  const limit = parseInt(reqParams.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+  const endIndex = page * limit;
+  const total = await Movie.countDocuments(filter);
+
+  query = query.skip(startIndex).limit(limit);
+
+  // Populate createdBy and updatedBy
+  query = query.populate('createdBy', 'name email').populate('updatedBy', 'name email');
+
+  // Executing query
+  const movies = await query;
+
+  // Pagination result
+  const pagination = {};
+
+  if (endIndex < total) {
+    pagination.next = {
+      page: page + 1,
+      limit
+    };
+  }
+
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit
+    };
+  }
+
+  return { movies, total, pagination };
+};
+
+module.exports = findMovies;
@@ -0,0 +1,96 @@
+const sharp = require('sharp');
+
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Square avatar sizes in pixels
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 128,
+  large: 256
+};
+
+// Widths in pixels for movie artwork; the aspect ratio is kept
+const MEDIA_WIDTHS = {
+  thumbnail: 200,
+  medium: 600,
+  large: 1280
+};
+
+// Width of the blurred low-resolution placeholder
+const PLACEHOLDER_WIDTH = 20;
+
+// Check the file really is an image we accept - the client's MIME type is not trusted
+const readImageMetadata = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    metadata = null;
+  }
+
+  if (!metadata || !ALLOWED_FORMATS.includes(metadata.format)) {
+    const error = new Error(`File must be an image (${ALLOWED_FORMATS.join(', ')})`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return metadata;
+};
+
+// Resize an image into every avatar size, cropped to a square, as WebP
+const createAvatarVariants = async (buffer) => {
+  await readImageMetadata(buffer);
+
+  const variants = {};
+
+  for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+    variants[name] = await sharp(buffer)
+      .rotate() // honour EXIF orientation
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 85 })
+      .toBuffer();
+  }
+
+  return variants;
+};
+
+// Resize movie artwork to every media width as WebP, never enlarging small images.
+// Also returns a tiny blurred placeholder as a data URI and the image dimensions.
+const createMediaVariants = async (buffer) => {
+  await readImageMetadata(buffer);
+
+  const variants = {};
+
+  for (const [name, width] of Object.entries(MEDIA_WIDTHS)) {
+    variants[name] = await sharp(buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer();
+  }
+
+  const { width, height } = await sharp(variants.large).metadata();
+
+  const placeholder = await sharp(buffer)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .blur()
+    .webp({ quality: 50 })
+    .toBuffer();
+
+  return {
+    variants,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    width,
+    height
+  };
+};
+
+module.exports = {
+  ALLOWED_FORMATS,
+  AVATAR_SIZES,
+  MEDIA_WIDTHS,
+  readImageMetadata,
+  createAvatarVariants,
+  createMediaVariants
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect provider for local development and tests.
+// It signs in a fixed user without asking for credentials.
+//
+// Usage: node utils/mockOidcProvider.js
+// Then set OIDC_ISSUER=http://localhost:5055 and OIDC_CLIENT_ID=movies-api
+
+const createMockOidcProvider = ({
+  issuer = `http://localhost:${process.env.MOCK_OIDC_PORT || 5055}`,
+  clientId = process.env.OIDC_CLIENT_ID || 'movies-api',
+  user = {
+    sub: 'mock-user-1',
+    email: process.env.MOCK_OIDC_EMAIL || 'jane@example.com',
+    email_verified: true,
+    name: 'Jane Mock'
+  }
+} = {}) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+    });
+  });
+
+  // Immediately "signs in" the configured user and redirects back.
+  // Pass ?login_hint=someone@example.com to sign in as a different email.
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+
+    if (requestClientId !== clientId || !redirectUri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    const email = req.query.login_hint || user.email;
+    codes.set(code, {
+      redirectUri,
+      nonce,
+      codeChallenge,
+      claims: { ...user, email, sub: req.query.login_hint ? `mock-${email}` : user.sub }
+    });
+
+    const redirect = new URL(redirectUri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', state);
+    res.redirect(302, redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, code_verifier: codeVerifier, redirect_uri: redirectUri, client_id: requestClientId } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    const challenge = codeVerifier &&
+      crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    if (!grant || requestClientId !== clientId || redirectUri !== grant.redirectUri ||
+      (grant.codeChallenge && challenge !== grant.codeChallenge)) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = process.env.MOCK_OIDC_PORT || 5055;
+  createMockOidcProvider().listen(port, () => {
+    console.log(`Mock OIDC provider running on http://localhost:${port}`);
+  });
+}
+
+module.exports = createMockOidcProvider;
@@ -0,0 +1,201 @@
+const Movie = require('../models/Movie');
+
+// Content-based similarity between movies. Each feature is scored from 0 to 1
+// and the weighted average is the similarity score.
+
+// Default weight of each feature. Callers can override them per request.
+const DEFAULT_WEIGHTS = {
+  genre: 3,
+  director: 2,
+  cast: 2,
+  language: 1,
+  era: 1,
+  rating: 1
+};
+
+// Release years further apart than this share no era
+const ERA_SPAN_YEARS = 10;
+
+// Ratings further apart than this are not considered close
+const RATING_SPAN = 3;
+
+// Movie fields the similarity is calculated from
+const SIMILARITY_FIELDS = 'genre director cast.name language releaseDate rating';
+
+const normalize = value => String(value || '').trim().toLowerCase();
+
+// Values of `a` that also appear in `b`, compared case-insensitively
+const intersect = (a = [], b = []) => {
+  const others = new Set(b.map(normalize));
+  return a.filter(value => others.has(normalize(value)));
+};
+
+const castNames = movie => (movie.cast || []).map(member => member.name).filter(Boolean);
+
+const releaseYear = movie => movie.releaseDate ? new Date(movie.releaseDate).getUTCFullYear() : null;
+
+// Score every feature of `candidate` against `movie`. Each entry has the
+// feature score and a reason when the feature matched at all.
+const FEATURES = {
+  genre: (movie, candidate) => {
+    const shared = intersect(movie.genre, candidate.genre);
+    const union = new Set([...(movie.genre || []), ...(candidate.genre || [])].map(normalize)).size;
+    return {
+      score: union ? shared.length / union : 0,
+      reason: shared.length ? `Shares genres: ${shared.join(', ')}` : null
+    };
+  },
+
+  director: (movie, candidate) => {
+    const same = Boolean(movie.director) && normalize(movie.director) === normalize(candidate.director);
+    return {
+      score: same ? 1 : 0,
+      reason: same ? `Same director: ${candidate.director}` : null
+    };
+  },
+
+  cast: (movie, candidate) => {
+    const cast = castNames(movie);
+    const shared = [...new Set(intersect(castNames(candidate), cast))];
+    const smallest = Math.min(cast.length, castNames(candidate).length);
+    return {
+      score: smallest ? Math.min(shared.length / smallest, 1) : 0,
+      reason: shared.length ? `Shares cast: ${shared.join(', ')}` : null
+    };
+  },
+
+  language: (movie, candidate) => {
+    const same = Boolean(movie.language) && normalize(movie.language) === normalize(candidate.language);
+    return {
+      score: same ? 1 : 0,
+      reason: same ? `Same language: ${candidate.language}` : null
+    };
+  },
+
+  era: (movie, candidate) => {
+    const year = releaseYear(movie);
+    const candidateYear = releaseYear(candidate);
+
+    if (year === null || candidateYear === null) {
+      return { score: 0, reason: null };
+    }
+
+    const difference = Math.abs(year - candidateYear);
+    const score = Math.max(0, 1 - difference / ERA_SPAN_YEARS);
+    let reason = null;
+
+    if (difference === 0) {
+      reason = `Released the same year (${candidateYear})`;
+    } else if (score > 0) {
+      reason = `Released ${difference} year${difference === 1 ? '' : 's'} apart (${candidateYear})`;
+    }
+
+    return { score, reason };
+  },
+
+  rating: (movie, candidate) => {
+    if (typeof movie.rating !== 'number' || typeof candidate.rating !== 'number') {
+      return { score: 0, reason: null };
+    }
+
+    const score = Math.max(0, 1 - Math.abs(movie.rating - candidate.rating) / RATING_SPAN);
+    return {
+      score,
+      reason: score > 0 ? `Similar rating (${candidate.rating} vs ${movie.rating})` : null
+    };
+  }
+};
+
+// Merge weight overrides into the defaults. Unknown features are ignored.
+const getWeights = (overrides = {}) => {
+  const weights = { ...DEFAULT_WEIGHTS };
+
+  Object.keys(DEFAULT_WEIGHTS).forEach(feature => {
+    const value = Number(overrides[feature]);
+    if (overrides[feature] !== undefined && Number.isFinite(value) && value >= 0) {
+      weights[feature] = value;
+    }
+  });
+
+  return weights;
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Compare a candidate with a movie. Returns the weighted score (0-1), the
+// score of each feature and the reasons the candidate matched.
+const scoreSimilarity = (movie, candidate, weights = DEFAULT_WEIGHTS) => {
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  const breakdown = {};
+  const reasons = [];
+  let weighted = 0;
+
+  Object.entries(FEATURES).forEach(([feature, compare]) => {
+    const weight = weights[feature] || 0;
+    const { score, reason } = compare(movie, candidate);
+
+    breakdown[feature] = round(score);
+
+    if (weight > 0 && score > 0) {
+      weighted += weight * score;
+      reasons.push(reason);
+    }
+  });
+
+  return {
+    score: totalWeight ? round(weighted / totalWeight) : 0,
+    breakdown,
+    reasons
+  };
+};
+
+// Director, cast and language are matched case-insensitively, like the scoring
+const CANDIDATE_COLLATION = { locale: 'en', strength: 2 };
+
+// Find the movies worth scoring against `movie`, at most `limit` of them.
+// Movies with the same director or a shared cast member come first, then the
+// best rated movies that only share a genre or the language fill the rest.
+const findSimilarCandidates = async (movie, limit) => {
+  const base = {
+    _id: { $ne: movie._id },
+    status: { $nin: Movie.INACTIVE_STATUSES }
+  };
+
+  const find = (filter, count) => Movie.find(filter)
+    .select(SIMILARITY_FIELDS)
+    .collation(CANDIDATE_COLLATION)
+    .sort({ rating: -1 })
+    .limit(count)
+    .lean();
+
+  const people = [];
+  if (movie.director) people.push({ director: movie.director });
+  if (castNames(movie).length) people.push({ 'cast.name': { $in: castNames(movie) } });
+
+  const related = people.length ? await find({ ...base, $or: people }, limit) : [];
+
+  const broad = [];
+  if (movie.genre && movie.genre.length) broad.push({ genre: { $in: movie.genre } });
+  if (movie.language) broad.push({ language: movie.language });
+
+  if (!broad.length || related.length >= limit) {
+    return related;
+  }
+
+  const others = await find({
+    ...base,
+    _id: { $nin: [movie._id, ...related.map(candidate => candidate._id)] },
+    $or: broad
+  }, limit - related.length);
+
+  return [...related, ...others];
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  SIMILARITY_FIELDS,
+  castNames,
+  getWeights,
+  scoreSimilarity,
+  findSimilarCandidates
+};
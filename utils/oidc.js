@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// node-fetch v3 is ESM only
+const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+// Discovery document and signing keys, cached per issuer
+const cache = {
+  issuer: null,
+  config: null,
+  jwks: null,
+  fetchedAt: 0
+};
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const oidcError = (message, statusCode = 502) => Object.assign(new Error(message), { statusCode });
+
+const getSettings = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile'
+});
+
+// OIDC login is only offered when an issuer and client are configured
+const isEnabled = () => {
+  const { issuer, clientId, redirectUri } = getSettings();
+  return Boolean(issuer && clientId && redirectUri);
+};
+
+const fetchJson = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (err) {
+    throw oidcError(`Identity provider unreachable: ${err.message}`);
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw oidcError(`Identity provider error: ${body.error_description || body.error || response.status}`);
+  }
+
+  return body;
+};
+
+// Load the provider's discovery document
+const discover = async () => {
+  const { issuer } = getSettings();
+
+  if (cache.issuer === issuer && cache.config && Date.now() - cache.fetchedAt < CACHE_TTL_MS) {
+    return cache.config;
+  }
+
+  const config = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+  cache.issuer = issuer;
+  cache.config = config;
+  cache.jwks = null;
+  cache.fetchedAt = Date.now();
+
+  return config;
+};
+
+// Find the public key for a kid, refreshing the key set once on a miss (key rotation)
+const getSigningKey = async (kid) => {
+  const config = await discover();
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (!cache.jwks || attempt === 1) {
+      cache.jwks = await fetchJson(config.jwks_uri);
+    }
+
+    const jwk = (cache.jwks.keys || []).find(key => !kid || key.kid === kid);
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw oidcError('No matching signing key found for ID token', 401);
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Create the per-login secrets: state, nonce and a PKCE verifier/challenge pair
+const createAuthRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+// Build the URL the browser is sent to for signing in at the provider
+const getAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const config = await discover();
+  const { clientId, redirectUri, scopes } = getSettings();
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${config.authorization_endpoint}?${params.toString()}`;
+};
+
+// Exchange an authorization code for the provider's tokens
+const exchangeCode = async (code, codeVerifier) => {
+  const config = await discover();
+  const { clientId, clientSecret, redirectUri } = getSettings();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (clientSecret) {
+    body.set('client_secret', clientSecret);
+  }
+
+  return fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString()
+  });
+};
+
+// Verify the ID token signature and claims, returning its claims
+const verifyIdToken = async (idToken, nonce) => {
+  const { issuer, clientId } = getSettings();
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw oidcError('Malformed ID token', 401);
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+      issuer,
+      audience: clientId
+    });
+  } catch (err) {
+    throw oidcError(`Invalid ID token: ${err.message}`, 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError('ID token nonce mismatch', 401);
+  }
+
+  return claims;
+};
+
+module.exports = {
+  isEnabled,
+  getSettings,
+  createAuthRequest,
+  getAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+};
@@ -0,0 +1,42 @@
+// Turn a User-Agent header into a short device description such as
+// "Chrome on Windows". Deliberately simple - it is only shown to users.
+
+const browsers = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS/],
+  ['Chrome', /Chrome\/|CriOS/],
+  ['Safari', /Safari\//],
+  ['curl', /^curl\//],
+  ['Postman', /PostmanRuntime/]
+];
+
+const platforms = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = match(browsers, userAgent);
+  const platform = match(platforms, userAgent);
+
+  if (browser && platform) {
+    return `${browser} on ${platform}`;
+  }
+
+  return browser || platform || 'Unknown device';
+};
+
+module.exports = parseUserAgent;
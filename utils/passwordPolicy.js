@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const DEFAULT_BREACHED_FILE = path.join(__dirname, '..', 'config', 'breachedPasswords.txt');
+
+// bcrypt ignores everything after 72 bytes, so longer passwords are refused
+const BCRYPT_MAX_LENGTH = 72;
+
+const flag = (name, defaultValue) =>
+  process.env[name] === undefined ? defaultValue : process.env[name] === 'true';
+
+// Current policy, read from the environment
+const getPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || BCRYPT_MAX_LENGTH, BCRYPT_MAX_LENGTH),
+  requireLowercase: flag('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireNumber: flag('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false),
+  checkBreached: flag('PASSWORD_CHECK_BREACHED', true),
+  historySize: process.env.PASSWORD_HISTORY_SIZE === undefined
+    ? 5
+    : parseInt(process.env.PASSWORD_HISTORY_SIZE) || 0
+});
+
+let breachedPasswords;
+
+// Load the breached-password list once, lowercased for case-insensitive lookups
+const getBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    const file = process.env.BREACHED_PASSWORDS_FILE || DEFAULT_BREACHED_FILE;
+
+    breachedPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+
+  return breachedPasswords;
+};
+
+const isBreached = (password) => getBreachedPasswords().has(password.toLowerCase());
+
+// Rules that only need the password itself. Each failed rule reports its own message.
+const getRules = (policy = getPolicy()) => [
+  {
+    rule: 'minLength',
+    enabled: true,
+    test: password => password.length >= policy.minLength,
+    message: `Password must be at least ${policy.minLength} characters long`
+  },
+  {
+    rule: 'maxLength',
+    enabled: true,
+    test: password => Buffer.byteLength(password) <= policy.maxLength,
+    message: `Password cannot be longer than ${policy.maxLength} characters`
+  },
+  {
+    rule: 'lowercase',
+    enabled: policy.requireLowercase,
+    test: password => /[a-z]/.test(password),
+    message: 'Password must contain at least one lowercase letter'
+  },
+  {
+    rule: 'uppercase',
+    enabled: policy.requireUppercase,
+    test: password => /[A-Z]/.test(password),
+    message: 'Password must contain at least one uppercase letter'
+  },
+  {
+    rule: 'number',
+    enabled: policy.requireNumber,
+    test: password => /\d/.test(password),
+    message: 'Password must contain at least one number'
+  },
+  {
+    rule: 'symbol',
+    enabled: policy.requireSymbol,
+    test: password => /[^A-Za-z0-9]/.test(password),
+    message: 'Password must contain at least one symbol'
+  },
+  {
+    rule: 'breached',
+    enabled: policy.checkBreached,
+    test: password => !isBreached(password),
+    message: 'This password has appeared in a data breach and cannot be used'
+  }
+].filter(rule => rule.enabled);
+
+// Check whether the user has used the password recently. The user must be
+// loaded with +password and +passwordHistory.
+const isReusedPassword = async (user, password) => {
+  const { historySize } = getPolicy();
+
+  if (historySize === 0) {
+    return false;
+  }
+
+  const hashes = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, historySize);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+const getReuseMessage = () =>
+  `Password cannot be the same as any of your last ${getPolicy().historySize} passwords`;
+
+module.exports = {
+  getPolicy,
+  getRules,
+  isBreached,
+  isReusedPassword,
+  getReuseMessage
+};
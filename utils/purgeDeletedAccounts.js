@@ -0,0 +1,31 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const connectDB = require('../config/database');
+const deleteUserAccount = require('./deleteUserAccount');
+
+// Permanently delete accounts whose deletion grace period has ended.
+// Their movies stay in the catalog, owned by the "Deleted user" placeholder.
+// Run it periodically, e.g. daily from cron: npm run purge:accounts
+const purgeDeletedAccounts = async () => {
+  try {
+    await connectDB();
+
+    const users = await User.find({ deletionScheduledFor: { $lte: new Date() } });
+
+    for (const user of users) {
+      const result = await deleteUserAccount(user);
+      console.log(`Deleted ${user.email} (${result.moviesAffected} movie(s) anonymised)`);
+    }
+
+    console.log(`Purged ${users.length} account(s)`);
+    await mongoose.connection.close();
+    process.exit();
+  } catch (error) {
+    console.error('Error purging accounts:', error);
+    process.exit(1);
+  }
+};
+
+purgeDeletedAccounts();
@@ -0,0 +1,412 @@
+const Movie = require('../models/Movie');
+const Review = require('../models/Review');
+const DiaryEntry = require('../models/DiaryEntry');
+const SavedMovie = require('../models/SavedMovie');
+const Recommendation = require('../models/Recommendation');
+const { DEFAULT_WEIGHTS, castNames } = require('./movieSimilarity');
+
+// Personalized movie recommendations.
+//
+// Every review, diary entry, favorite and watchlist entry is turned into a
+// preference from -1 (disliked) to 1 (loved). Users with enough preferences get
+// a blend of collaborative filtering (what users with similar preferences
+// liked) and content matching (genres, directors and cast of the movies they
+// liked). Other users get a cold start from their favorite genres, or the most
+// popular movies when they have not declared any.
+
+// Users with fewer rated, watched or favorite movies get a cold start
+const MIN_INTERACTIONS = 3;
+
+// Most users compared with the current user, and most used as neighbours
+const NEIGHBOUR_CANDIDATE_LIMIT = 500;
+const NEIGHBOUR_LIMIT = 50;
+
+// Similarities based on fewer shared movies than this are scaled down
+const MIN_SHARED_MOVIES = 5;
+
+// Most movies scored per user, and most recommendations kept
+const CANDIDATE_LIMIT = 500;
+const RECOMMENDATION_LIMIT = 50;
+
+// Share of the collaborative score in the final score (0-1)
+const getCollaborativeWeight = () => {
+  const weight = parseFloat(process.env.RECOMMENDATIONS_CF_WEIGHT);
+  return Number.isFinite(weight) ? Math.min(Math.max(weight, 0), 1) : 0.6;
+};
+
+// Hours before stored recommendations are recomputed on request
+const getMaxAgeHours = () => parseFloat(process.env.RECOMMENDATIONS_MAX_AGE_HOURS) || 24;
+
+// Minutes after a computation before a forced refresh recomputes again
+const getRefreshCooldownMinutes = () => {
+  const minutes = parseFloat(process.env.RECOMMENDATIONS_REFRESH_COOLDOWN_MINUTES);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : 15;
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Turn everything known about a user and a movie into one preference
+const toPreference = (signal) => {
+  if (signal.favorite) return 1;
+
+  if (signal.ratings.length) {
+    const average = signal.ratings.reduce((sum, rating) => sum + rating, 0) / signal.ratings.length;
+    return (average - 5) / 5;
+  }
+
+  if (signal.rewatched) return 0.5;
+  if (signal.watched) return 0.3;
+
+  // Only on the watchlist - interested, but not seen yet
+  return 0.2;
+};
+
+// Preferences of the given users, as user ID -> movie ID -> preference.
+// `interactions` counts the movies each user rated, watched or favorited.
+const getPreferences = async (userIds) => {
+  const filter = { user: { $in: userIds } };
+
+  const [reviews, diary, saved] = await Promise.all([
+    Review.find(filter).select('user movie rating').lean(),
+    DiaryEntry.find(filter).select('user movie rating rewatch').lean(),
+    SavedMovie.find(filter).select('user movie list').lean()
+  ]);
+
+  const signals = new Map();
+
+  const signalFor = (userId, movieId) => {
+    const user = userId.toString();
+    const movie = movieId.toString();
+
+    if (!signals.has(user)) signals.set(user, new Map());
+    const movies = signals.get(user);
+
+    if (!movies.has(movie)) {
+      movies.set(movie, { ratings: [], watched: false, rewatched: false, favorite: false, watchlist: false });
+    }
+    return movies.get(movie);
+  };
+
+  reviews.forEach(review => {
+    signalFor(review.user, review.movie).ratings.push(review.rating);
+  });
+
+  diary.forEach(entry => {
+    const signal = signalFor(entry.user, entry.movie);
+    signal.watched = true;
+    if (entry.rewatch) signal.rewatched = true;
+    if (typeof entry.rating === 'number') signal.ratings.push(entry.rating);
+  });
+
+  saved.forEach(item => {
+    signalFor(item.user, item.movie)[item.list === 'favorites' ? 'favorite' : 'watchlist'] = true;
+  });
+
+  const preferences = new Map();
+
+  signals.forEach((movies, userId) => {
+    const prefs = new Map();
+    let interactions = 0;
+
+    movies.forEach((signal, movieId) => {
+      prefs.set(movieId, toPreference(signal));
+      if (signal.favorite || signal.watched || signal.ratings.length) interactions++;
+    });
+
+    preferences.set(userId, { prefs, interactions });
+  });
+
+  return preferences;
+};
+
+// IDs of every movie the user rated, watched or saved. These are never recommended.
+const getKnownMovieIds = async (userId) => {
+  const preferences = await getPreferences([userId]);
+  const own = preferences.get(userId.toString());
+  return new Set(own ? own.prefs.keys() : []);
+};
+
+// Cosine similarity of two users over the movies both have a preference for
+const userSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  let shared = 0;
+
+  a.forEach((prefA, movieId) => {
+    const prefB = b.get(movieId);
+    if (prefB === undefined) return;
+
+    dot += prefA * prefB;
+    normA += prefA * prefA;
+    normB += prefB * prefB;
+    shared++;
+  });
+
+  if (!shared || !normA || !normB) return 0;
+
+  return dot / Math.sqrt(normA * normB) * Math.min(shared / MIN_SHARED_MOVIES, 1);
+};
+
+// Users with the most similar preferences, most similar first
+const findNeighbours = async (userId, prefs) => {
+  const filter = { movie: { $in: [...prefs.keys()] }, user: { $ne: userId } };
+
+  const userIds = await Promise.all([
+    Review.distinct('user', filter),
+    DiaryEntry.distinct('user', filter),
+    SavedMovie.distinct('user', { ...filter, list: 'favorites' })
+  ]);
+
+  const candidateIds = [...new Set(userIds.flat().map(String))].slice(0, NEIGHBOUR_CANDIDATE_LIMIT);
+
+  if (!candidateIds.length) return [];
+
+  const preferences = await getPreferences(candidateIds);
+
+  return [...preferences.values()]
+    .map(other => ({ prefs: other.prefs, similarity: userSimilarity(prefs, other.prefs) }))
+    .filter(neighbour => neighbour.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, NEIGHBOUR_LIMIT);
+};
+
+// Predicted preference (0-1) for movies the user does not know yet, from the
+// preferences of their neighbours weighted by similarity
+const collaborativeScores = (prefs, neighbours) => {
+  const totals = new Map();
+
+  neighbours.forEach(({ prefs: neighbourPrefs, similarity }) => {
+    neighbourPrefs.forEach((pref, movieId) => {
+      if (prefs.has(movieId)) return;
+
+      const total = totals.get(movieId) || { weighted: 0, weights: 0, supporters: 0 };
+      total.weighted += similarity * pref;
+      total.weights += similarity;
+      if (pref > 0) total.supporters++;
+      totals.set(movieId, total);
+    });
+  });
+
+  const scores = new Map();
+
+  totals.forEach((total, movieId) => {
+    const score = total.weighted / total.weights;
+    if (score > 0) {
+      scores.set(movieId, { score, supporters: total.supporters });
+    }
+  });
+
+  return scores;
+};
+
+// How much the user likes each genre, director and cast member (0-1),
+// based on the movies they have a positive preference for
+const buildTasteProfile = (movies, prefs) => {
+  const profile = { genre: new Map(), director: new Map(), cast: new Map() };
+
+  const add = (feature, key, value) => {
+    if (key) profile[feature].set(key, (profile[feature].get(key) || 0) + value);
+  };
+
+  movies.forEach(movie => {
+    const pref = prefs.get(movie._id.toString());
+    if (!(pref > 0)) return;
+
+    (movie.genre || []).forEach(genre => add('genre', genre, pref));
+    add('director', movie.director, pref);
+    castNames(movie).forEach(name => add('cast', name, pref));
+  });
+
+  Object.values(profile).forEach(values => {
+    const max = Math.max(0, ...values.values());
+    values.forEach((value, key) => values.set(key, max ? value / max : 0));
+  });
+
+  return profile;
+};
+
+// Keys of a profile feature with the highest weights
+const topKeys = (values, count) => [...values.entries()]
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, count)
+  .map(([key]) => key);
+
+// Match a movie against the taste profile (0-1), with reasons for the match
+const contentScore = (profile, movie) => {
+  const genres = movie.genre || [];
+  const genre = genres.length
+    ? genres.reduce((sum, name) => sum + (profile.genre.get(name) || 0), 0) / genres.length
+    : 0;
+  const director = profile.director.get(movie.director) || 0;
+  const castScores = castNames(movie).map(name => [name, profile.cast.get(name) || 0]);
+  const cast = Math.max(0, ...castScores.map(([, value]) => value));
+
+  const { genre: genreWeight, director: directorWeight, cast: castWeight } = DEFAULT_WEIGHTS;
+  const score = (genreWeight * genre + directorWeight * director + castWeight * cast) /
+    (genreWeight + directorWeight + castWeight);
+
+  const reasons = [];
+  const likedGenres = genres.filter(name => (profile.genre.get(name) || 0) >= 0.5);
+  const likedCast = castScores.filter(([, value]) => value > 0).map(([name]) => name).slice(0, 2);
+
+  if (likedGenres.length) reasons.push(`Because you like ${likedGenres.join(' and ')}`);
+  if (director > 0) reasons.push(`From ${movie.director}, whose movies you liked`);
+  if (likedCast.length) reasons.push(`Stars ${likedCast.join(' and ')}`);
+
+  return { score, reasons };
+};
+
+// Blend collaborative filtering and content matching for a user with enough history
+const personalizedRecommendations = async (userId, prefs) => {
+  const known = [...prefs.keys()];
+  const active = { _id: { $nin: known }, status: { $nin: Movie.INACTIVE_STATUSES } };
+  const fields = 'genre director cast.name';
+
+  const likedMovies = await Movie.find({ _id: { $in: known } }).select(fields).lean();
+  const profile = buildTasteProfile(likedMovies, prefs);
+
+  const neighbours = await findNeighbours(userId, prefs);
+  const collaborative = collaborativeScores(prefs, neighbours);
+
+  const collaborativeIds = [...collaborative.entries()]
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, CANDIDATE_LIMIT)
+    .map(([movieId]) => movieId);
+
+  const or = [
+    { genre: { $in: topKeys(profile.genre, 5) } },
+    { director: { $in: topKeys(profile.director, 5) } },
+    { 'cast.name': { $in: topKeys(profile.cast, 10) } }
+  ];
+
+  const [contentCandidates, collaborativeCandidates] = await Promise.all([
+    Movie.find({ ...active, $or: or }).select(fields).sort({ rating: -1 }).limit(CANDIDATE_LIMIT).lean(),
+    Movie.find({ ...active, _id: { $in: collaborativeIds } }).select(fields).lean()
+  ]);
+
+  const candidates = new Map();
+  [...contentCandidates, ...collaborativeCandidates].forEach(movie => {
+    candidates.set(movie._id.toString(), movie);
+  });
+
+  const collaborativeWeight = getCollaborativeWeight();
+
+  return [...candidates.values()]
+    .map(movie => {
+      const cf = collaborative.get(movie._id.toString());
+      const content = contentScore(profile, movie);
+      const reasons = [...content.reasons];
+
+      if (cf && cf.supporters) {
+        reasons.unshift(`Liked by ${cf.supporters} user${cf.supporters === 1 ? '' : 's'} with similar taste`);
+      }
+
+      return {
+        movie: movie._id,
+        score: round(collaborativeWeight * (cf ? cf.score : 0) + (1 - collaborativeWeight) * content.score),
+        collaborative: round(cf ? cf.score : 0),
+        content: round(content.score),
+        reasons
+      };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RECOMMENDATION_LIMIT);
+};
+
+// Cold start: movies in the user's favorite genres, best rated first, or
+// the most popular movies when there are no favorite genres
+const coldStartRecommendations = async (user, known) => {
+  const filter = { _id: { $nin: [...known] }, status: { $nin: Movie.INACTIVE_STATUSES } };
+  const favoriteGenres = user.favoriteGenres || [];
+
+  if (!favoriteGenres.length) {
+    const movies = await Movie.find(filter)
+      .select('rating communityScore communityVotes')
+      .sort({ communityVotes: -1, rating: -1 })
+      .limit(RECOMMENDATION_LIMIT)
+      .lean();
+
+    return {
+      strategy: 'popular',
+      items: movies.map(movie => ({
+        movie: movie._id,
+        score: round((movie.communityScore || movie.rating || 0) / 10),
+        reasons: [movie.communityVotes ? 'Popular with the community' : 'Highly rated']
+      }))
+    };
+  }
+
+  const movies = await Movie.find({ ...filter, genre: { $in: favoriteGenres } })
+    .select('genre rating communityScore')
+    .sort({ communityScore: -1, rating: -1 })
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  const items = movies
+    .map(movie => {
+      const shared = movie.genre.filter(genre => favoriteGenres.includes(genre));
+      const quality = (movie.communityScore || movie.rating || 0) / 10;
+
+      return {
+        movie: movie._id,
+        score: round(0.5 * shared.length / movie.genre.length + 0.5 * quality),
+        content: round(shared.length / movie.genre.length),
+        reasons: [`Matches your favorite genres: ${shared.join(', ')}`]
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RECOMMENDATION_LIMIT);
+
+  return { strategy: 'favorite-genres', items };
+};
+
+// Compute recommendations for a user without storing them
+const computeRecommendations = async (user) => {
+  const preferences = await getPreferences([user._id]);
+  const own = preferences.get(user._id.toString()) || { prefs: new Map(), interactions: 0 };
+
+  if (own.interactions < MIN_INTERACTIONS) {
+    return coldStartRecommendations(user, own.prefs.keys());
+  }
+
+  return {
+    strategy: 'personalized',
+    items: await personalizedRecommendations(user._id, own.prefs)
+  };
+};
+
+// Compute and store the recommendations of a user
+const refreshRecommendations = async (user) => {
+  const { strategy, items } = await computeRecommendations(user);
+
+  return Recommendation.findOneAndUpdate(
+    { user: user._id },
+    { strategy, items, computedAt: new Date() },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Stored recommendations of a user, recomputed when missing, older than
+// RECOMMENDATIONS_MAX_AGE_HOURS or when `refresh` is set. A refresh is
+// ignored until RECOMMENDATIONS_REFRESH_COOLDOWN_MINUTES have passed, so
+// clients cannot turn every request into a full recompute.
+const loadRecommendations = async (user, { refresh = false } = {}) => {
+  const stored = await Recommendation.findOne({ user: user._id });
+  const forced = refresh && stored && stored.isStale(getRefreshCooldownMinutes() / 60);
+
+  if (stored && !forced && !stored.isStale(getMaxAgeHours())) {
+    return stored;
+  }
+
+  return refreshRecommendations(user);
+};
+
+module.exports = {
+  getPreferences,
+  getKnownMovieIds,
+  computeRecommendations,
+  refreshRecommendations,
+  loadRecommendations
+};
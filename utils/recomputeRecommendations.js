@@ -0,0 +1,38 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const connectDB = require('../config/database');
+const { refreshRecommendations } = require('./recommendations');
+
+// Recompute the stored recommendations of every active user, so requests are
+// served from fresh results instead of computing them on demand.
+// Run it periodically, e.g. nightly from cron: npm run recommendations:recompute
+const recomputeRecommendations = async () => {
+  try {
+    await connectDB();
+
+    const users = User.find({ isActive: true }).select('favoriteGenres').cursor();
+    const counts = {};
+    let total = 0;
+
+    for await (const user of users) {
+      try {
+        const { strategy } = await refreshRecommendations(user);
+        counts[strategy] = (counts[strategy] || 0) + 1;
+        total++;
+      } catch (error) {
+        console.error(`Recommendations for user ${user._id} could not be computed:`, error.message);
+      }
+    }
+
+    console.log(`Recomputed recommendations for ${total} user(s)`, counts);
+    await mongoose.connection.close();
+    process.exit();
+  } catch (error) {
+    console.error('Error recomputing recommendations:', error);
+    process.exit(1);
+  }
+};
+
+recomputeRecommendations();
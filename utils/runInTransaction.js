@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Run several writes atomically. `work` receives the MongoDB session to pass
+// to every query. Standalone servers (no replica set) do not support
+// transactions, and the work is refused there unless
+// ALLOW_WRITES_WITHOUT_TRANSACTIONS is set; then it runs once without a
+// session, so callers should order their writes so a partial failure leaves
+// no dangling references.
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+
+    return result;
+  } catch (error) {
+    const unsupported = error.code === 20 ||
+      /Transaction numbers are only allowed/.test(error.message);
+
+    if (!unsupported) {
+      throw error;
+    }
+
+    if (process.env.ALLOW_WRITES_WITHOUT_TRANSACTIONS !== 'true') {
+      const refused = new Error('This operation needs MongoDB transactions. Run MongoDB as a replica set, or set ALLOW_WRITES_WITHOUT_TRANSACTIONS=true to run it without atomicity.');
+      refused.statusCode = 503;
+      throw refused;
+    }
+
+    console.warn('MongoDB transactions are not supported, running the writes without atomicity');
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = runInTransaction;
@@ -13,14 +13,16 @@ const users = [
     email: 'admin@example.com',
     password: 'admin123',
     role: 'admin',
-    bio: 'System Administrator'
+    bio: 'System Administrator',
+    emailVerified: true
   },
   {
     name: 'John Doe',
     email: 'john@example.com',
     password: 'user123',
     role: 'user',
-    bio: 'Movie enthusiast and critic'
+    bio: 'Movie enthusiast and critic',
+    emailVerified: true
   }
 ];
 
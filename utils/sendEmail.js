@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in mail transports. Each transport receives a message object
+// ({ from, to, subject, text, html }) and returns a promise.
+const transports = {
+  // Print the message to stdout - handy for local development
+  console: async (message) => {
+    console.log('----- Outgoing email -----');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('--------------------------');
+    return { transport: 'console' };
+  },
+
+  // Write each message as a JSON file so tests can read it back
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(dir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    return { transport: 'file', path: filePath };
+  }
+};
+
+// Register a custom transport (e.g. SMTP or a provider SDK)
+const registerTransport = (name, handler) => {
+  if (typeof handler !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = handler;
+};
+
+// Send an email through the transport selected by MAIL_TRANSPORT
+const sendEmail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${transportName}"`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'Movies API <noreply@moviesapi.com>',
+    to,
+    subject,
+    text,
+    html
+  };
+
+  return transport(message);
+};
+
+module.exports = sendEmail;
+module.exports.registerTransport = registerTransport;
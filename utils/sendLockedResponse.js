@@ -0,0 +1,14 @@
+// Tell the user their account is locked and until when
+const sendLockedResponse = (user, res) => {
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+
+  res.set('Retry-After', String(retryAfter));
+
+  return res.status(423).json({
+    success: false,
+    message: `Account temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s) or reset your password.`,
+    lockUntil: user.lockUntil
+  });
+};
+
+module.exports = sendLockedResponse;
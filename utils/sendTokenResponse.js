@@ -0,0 +1,26 @@
+const Session = require('../models/Session');
+const { setAuthCookies, getCsrfToken } = require('./authCookies');
+
+// Start a session, issue access/refresh tokens and send the response.
+// Tokens are returned in the body for API clients and set as httpOnly
+// cookies for browsers.
+const sendTokenResponse = async (user, statusCode, res) => {
+  // Create session (recording the device from the request) and tokens
+  const { session, refreshToken } = await Session.start(user, res.req);
+  const token = user.getSignedJwtToken(session._id);
+
+  setAuthCookies(res, { token, refreshToken, session });
+
+  // Remove password from output
+  user.password = undefined;
+
+  res.status(statusCode).json({
+    success: true,
+    token,
+    refreshToken,
+    csrfToken: getCsrfToken(session._id),
+    data: user
+  });
+};
+
+module.exports = sendTokenResponse;
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in storage drivers. Each driver stores files under a key such as
+// "avatars/<userId>/<name>.webp" and returns the public URL of the file.
+const drivers = {
+  // Local disk, served by app.js under /uploads
+  local: {
+    getRoot: () => path.resolve(process.env.UPLOAD_DIR || 'uploads'),
+
+    async save(key, buffer) {
+      const filePath = path.join(this.getRoot(), key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+
+      const baseUrl = (process.env.UPLOAD_PUBLIC_URL || '/uploads').replace(/\/$/, '');
+      return `${baseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await fs.promises.rm(path.join(this.getRoot(), key), { force: true });
+    }
+  }
+};
+
+// Register a custom driver (e.g. S3 or another object store).
+// A driver must implement save(key, buffer, contentType) and remove(key).
+const registerDriver = (name, driver) => {
+  if (!driver || typeof driver.save !== 'function' || typeof driver.remove !== 'function') {
+    throw new Error(`Storage driver "${name}" must implement save() and remove()`);
+  }
+  drivers[name] = driver;
+};
+
+// Get the driver selected by STORAGE_DRIVER
+const getDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[driverName];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${driverName}"`);
+  }
+
+  return driver;
+};
+
+const saveFile = (key, buffer, contentType) => getDriver().save(key, buffer, contentType);
+
+// Remove several files, ignoring ones that are already gone
+const removeFiles = async (keys = []) => {
+  const driver = getDriver();
+  await Promise.all(keys.map(key => driver.remove(key).catch(() => {})));
+};
+
+module.exports = {
+  saveFile,
+  removeFiles,
+  registerDriver,
+  getLocalRoot: () => drivers.local.getRoot()
+};
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Generate a random token suitable for sending to the user
+const generateToken = (bytes = 20) => crypto.randomBytes(bytes).toString('hex');
+
+// Hash a token before storing or looking it up - raw tokens are never persisted
+const hashToken = (token) => crypto
+  .createHash('sha256')
+  .update(token)
+  .digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};